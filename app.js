@@ -1,97 +1,95 @@
+// Browser dashboard for the SimulationEngine in engine.js: wires the sidebar
+// controls, charts and event log to the engine and re-renders on its events.
 class AdvancedLoadBalancingSimulator {
     constructor() {
-        this.servers = [];
-        this.tasks = [];
-        this.completedTasks = [];
-        this.failedTasks = [];
-        this.currentTaskId = 1;
-        this.simulationTime = 0;
-        this.roundRobinCounter = 0;
-        this.weightedRoundRobinCounters = [];
+        this.engine = new SimulationEngine();
         this.simulationState = 'stopped';
         this.simulationInterval = null;
-        this.taskGenerationInterval = null;
-        this.healthCheckInterval = null;
         this.charts = {};
-        
-        this.metrics = {
-            responseTime: [],
-            throughput: [],
-            resourceUtilization: [],
-            loadFairness: [],
-            slaCompliance: [],
-            failureRate: [],
-            timestamps: [],
-            responseTimePercentiles: {
-                p50: [],
-                p90: [],
-                p95: []
-            },
-            priorityMetrics: {
-                high: { sla: [], count: 0 },
-                medium: { sla: [], count: 0 },
-                low: { sla: [], count: 0 }
-            }
-        };
-        
-        this.config = {
-            serverCount: 5,
-            serverCapacity: 100,
-            taskCount: 100,
-            taskProcessingTimeMin: 500,
-            taskProcessingTimeMax: 3000,
-            arrivalRate: 8,
-            algorithm: 'roundRobin',
-            simulationSpeed: 'normal',
-            serverFailureRate: 0.02,
-            healthCheckInterval: 3000,
-            serverRecoveryTime: 10000,
-            priorityDistribution: {
-                high: 20,
-                medium: 50,
-                low: 30
-            }
-        };
-        
-        this.algorithmDescriptions = {
-            roundRobin: "Distributes tasks sequentially across healthy servers in a circular manner",
-            leastLoad: "Assigns tasks to the healthy server with the lowest current load",
-            weightedRoundRobin: "Distributes tasks based on server weights and capacity ratios",
-            shortestResponseTime: "Assigns tasks to the server with the fastest recent response time",
-            randomized: "Random assignment weighted by server load and health status",
-            consistentHashing: "Hash-based assignment for session affinity and consistent routing"
-        };
-        
-        this.taskPriorities = {
-            high: { slaTarget: 2000, color: '#EF4444' },
-            medium: { slaTarget: 5000, color: '#F59E0B' },
-            low: { slaTarget: 10000, color: '#10B981' }
-        };
-        
-        this.healthStatuses = {
-            healthy: { color: '#10B981', description: 'Server operating normally' },
-            degraded: { color: '#F59E0B', description: 'Server experiencing performance issues' },
-            failed: { color: '#EF4444', description: 'Server is down and unavailable' },
-            recovering: { color: '#6366F1', description: 'Server is coming back online' }
-        };
+        this.serviceTimeClass = 'all';
         
         this.init();
     }
     
+    get config() {
+        return this.engine.config;
+    }
+    
+    get servers() {
+        return this.engine.servers;
+    }
+    
     init() {
+        this.subscribeToEngine();
         this.setupEventListeners();
+        this.syncServiceTimeInputs();
+        this.renderScenarioEditor();
+        this.renderTenantEditor();
+        document.getElementById('callGraphCode').value = JSON.stringify(this.config.callGraphs, null, 2);
         this.initializeCharts();
         this.updateUI();
         this.resetSimulation();
     }
     
+    subscribeToEngine() {
+        this.engine.on('log', ({ time, message, className }) => this.logEvent(message, className, time));
+        this.engine.on('step', (metrics) => {
+            this.renderMetrics(metrics);
+            this.updateCharts();
+            this.updateServerHealthDisplay();
+            this.updateUI();
+            this.updateTaskProgressUI();
+        });
+        this.engine.on('serverHealthChanged', () => this.updateServerHealthDisplay());
+        this.engine.on('breakerChanged', () => this.updateServerHealthDisplay());
+        this.engine.on('probeStatusChanged', () => this.updateServerHealthDisplay());
+        this.engine.on('fleetChanged', () => this.updateServerHealthDisplay());
+        this.engine.on('completed', () => this.stopSimulation());
+    }
+    
     setupEventListeners() {
         // Algorithm selection
-        document.querySelectorAll('input[name="algorithm"]').forEach(radio => {
-            radio.addEventListener('change', (e) => {
-                this.config.algorithm = e.target.value;
-                this.updateAlgorithmDescription();
-            });
+        document.querySelectorAll('input[name="algorithm"]').forEach(radio => this.bindAlgorithmRadio(radio));
+        
+        document.getElementById('validateAlgorithmBtn').addEventListener('click', () => this.validateCustomAlgorithm());
+        document.getElementById('registerAlgorithmBtn').addEventListener('click', () => this.registerCustomAlgorithm());
+        
+        document.getElementById('powerOfChoicesD').addEventListener('input', (e) => {
+            this.config.powerOfChoicesD = parseInt(e.target.value) || 1;
+        });
+        
+        document.getElementById('virtualNodes').addEventListener('input', (e) => {
+            this.config.virtualNodes = parseInt(e.target.value) || 1;
+        });
+        
+        document.getElementById('sessionCount').addEventListener('input', (e) => {
+            this.config.sessionCount = parseInt(e.target.value) || 1;
+        });
+        
+        document.getElementById('hashLoadFactor').addEventListener('input', (e) => {
+            this.config.hashLoadFactor = parseFloat(e.target.value) / 100;
+        });
+        
+        document.getElementById('maglevTableSize').addEventListener('change', (e) => {
+            this.config.maglevTableSize = parseInt(e.target.value);
+        });
+        
+        document.getElementById('balancerCount').addEventListener('input', (e) => {
+            this.config.balancers.count = Math.min(32, Math.max(1, parseInt(e.target.value) || 1));
+            if (this.simulationState === 'stopped') {
+                this.resetSimulation();
+            }
+        });
+        
+        document.getElementById('loadRefreshInterval').addEventListener('input', (e) => {
+            this.config.balancers.refreshInterval = Math.max(0, parseFloat(e.target.value) || 0) * 1000;
+            if (this.simulationState === 'stopped') {
+                this.resetSimulation();
+            }
+        });
+        
+        document.getElementById('trackOwnTasks').addEventListener('change', (e) => {
+            this.config.balancers.trackOwnTasks = e.target.value === 'on';
         });
         
         // Configuration controls
@@ -105,6 +103,325 @@ class AdvancedLoadBalancingSimulator {
         
         document.getElementById('serverCapacity').addEventListener('input', (e) => {
             this.config.serverCapacity = parseInt(e.target.value);
+            document.getElementById('serverSlots').textContent =
+                Math.max(1, Math.round(this.config.serverCapacity / this.config.workerSlotCapacity));
+            if (this.simulationState === 'stopped') {
+                this.resetSimulation();
+            }
+        });
+        
+        document.getElementById('zoneCount').addEventListener('input', (e) => {
+            this.config.zoneCount = Math.max(1, parseInt(e.target.value) || 1);
+            if (this.simulationState === 'stopped') {
+                this.resetSimulation();
+            }
+        });
+        
+        ['hourlyCost', 'idlePower', 'peakPower'].forEach(field => {
+            document.getElementById(field).addEventListener('input', (e) => {
+                this.config.costModel[field] = Math.max(0, parseFloat(e.target.value) || 0);
+                if (this.simulationState === 'stopped') {
+                    this.resetSimulation();
+                }
+            });
+        });
+        
+        document.getElementById('racksPerZone').addEventListener('input', (e) => {
+            this.config.racksPerZone = Math.max(1, parseInt(e.target.value) || 1);
+            if (this.simulationState === 'stopped') {
+                this.resetSimulation();
+            }
+        });
+        
+        document.getElementById('zoneFailureRate').addEventListener('input', (e) => {
+            this.config.correlatedFailures.zoneFailureRate = Math.max(0, parseFloat(e.target.value) || 0) / 100;
+        });
+        
+        document.getElementById('rackFailureRate').addEventListener('input', (e) => {
+            this.config.correlatedFailures.rackFailureRate = Math.max(0, parseFloat(e.target.value) || 0) / 100;
+        });
+        
+        document.getElementById('cascadeFailures').addEventListener('change', (e) => {
+            this.config.correlatedFailures.cascade = e.target.value === 'on';
+        });
+        
+        document.getElementById('cascadeLoadThreshold').addEventListener('input', (e) => {
+            this.config.correlatedFailures.cascadeLoadThreshold = Math.max(1, parseFloat(e.target.value) || 1);
+        });
+        
+        document.getElementById('zoneAware').addEventListener('change', (e) => {
+            this.config.zoneAware.enabled = e.target.value === 'on';
+        });
+        
+        document.getElementById('zoneSpillover').addEventListener('input', (e) => {
+            this.config.zoneAware.spilloverUtilization = Math.max(0, parseFloat(e.target.value) || 0) / 100;
+        });
+        
+        document.getElementById('networkModel').addEventListener('change', (e) => {
+            this.config.network.enabled = e.target.value === 'on';
+        });
+        
+        // Derived server RTTs depend on where the balancer is
+        document.getElementById('balancerRegion').addEventListener('change', (e) => {
+            this.config.network.balancerRegion = e.target.value;
+            if (this.simulationState === 'stopped') {
+                this.resetSimulation();
+            }
+        });
+        
+        document.getElementById('clientMix').addEventListener('change', (e) => {
+            const regions = this.engine.clientMixPresets[e.target.value].regions;
+            this.config.network.clientRegions = regions ? { ...regions } : null;
+        });
+        
+        document.getElementById('responseSize').addEventListener('input', (e) => {
+            this.config.network.responseSize = Math.max(0, parseFloat(e.target.value) || 0);
+        });
+        
+        document.getElementById('networkBandwidth').addEventListener('input', (e) => {
+            this.config.network.bandwidth = Math.max(1, parseFloat(e.target.value) || 1);
+            if (this.simulationState === 'stopped') {
+                this.resetSimulation();
+            }
+        });
+        
+        // Server RTTs change with the global tier: each region gets its own balancer
+        document.getElementById('gslb').addEventListener('change', (e) => {
+            this.config.gslb.enabled = e.target.value === 'on';
+            if (this.simulationState === 'stopped') {
+                this.resetSimulation();
+            }
+        });
+        
+        document.getElementById('gslbPolicy').addEventListener('change', (e) => {
+            this.config.gslb.policy = e.target.value;
+        });
+        
+        document.getElementById('gslbTtl').addEventListener('input', (e) => {
+            this.config.gslb.ttl = Math.max(0, parseFloat(e.target.value) || 0) * 1000;
+        });
+        
+        document.getElementById('regionMinHealthy').addEventListener('input', (e) => {
+            this.config.gslb.minHealthyFraction = Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)) / 100;
+        });
+        
+        document.getElementById('regionTableBody').addEventListener('change', (e) => {
+            const region = e.target.dataset.region;
+            if (e.target.value) {
+                this.config.gslb.regionAlgorithms[region] = e.target.value;
+            } else {
+                delete this.config.gslb.regionAlgorithms[region];
+            }
+        });
+        
+        document.getElementById('autoscaling').addEventListener('change', (e) => {
+            this.config.autoscaling.enabled = e.target.value === 'on';
+        });
+        
+        // Thresholds are in the metric's own units, so switching metric resets them
+        document.getElementById('scalingMetric').addEventListener('change', (e) => {
+            const [scaleOut, scaleIn] = { utilization: [80, 30], queueDepth: [4, 0.5], p95: [2000, 500] }[e.target.value];
+            Object.assign(this.config.autoscaling, { metric: e.target.value, scaleOutThreshold: scaleOut, scaleInThreshold: scaleIn });
+            document.getElementById('scaleOutThreshold').value = scaleOut;
+            document.getElementById('scaleInThreshold').value = scaleIn;
+        });
+        
+        document.getElementById('scaleOutThreshold').addEventListener('input', (e) => {
+            this.config.autoscaling.scaleOutThreshold = Math.max(0, parseFloat(e.target.value) || 0);
+        });
+        
+        document.getElementById('scaleInThreshold').addEventListener('input', (e) => {
+            this.config.autoscaling.scaleInThreshold = Math.max(0, parseFloat(e.target.value) || 0);
+        });
+        
+        document.getElementById('minServers').addEventListener('input', (e) => {
+            this.config.autoscaling.minServers = Math.max(1, parseInt(e.target.value) || 1);
+        });
+        
+        document.getElementById('maxServers').addEventListener('input', (e) => {
+            this.config.autoscaling.maxServers = Math.max(1, parseInt(e.target.value) || 1);
+        });
+        
+        document.getElementById('bootTime').addEventListener('input', (e) => {
+            this.config.autoscaling.bootTime = Math.max(0, parseInt(e.target.value) || 0);
+        });
+        
+        document.getElementById('scalingCooldown').addEventListener('input', (e) => {
+            this.config.autoscaling.cooldown = Math.max(0, parseInt(e.target.value) || 0);
+        });
+        
+        document.getElementById('drainTimeout').addEventListener('input', (e) => {
+            this.config.autoscaling.drainTimeout = Math.max(0, parseInt(e.target.value) || 0);
+        });
+        
+        document.getElementById('queueDiscipline').addEventListener('change', (e) => {
+            this.config.queueDiscipline = e.target.value;
+            if (this.simulationState === 'stopped') {
+                this.resetSimulation();
+            }
+        });
+        
+        document.getElementById('maxQueueLength').addEventListener('input', (e) => {
+            this.config.maxQueueLength = Math.max(0, parseInt(e.target.value) || 0);
+        });
+        
+        document.getElementById('admissionMode').addEventListener('change', (e) => {
+            this.config.admissionControl.mode = e.target.value;
+        });
+        
+        document.getElementById('admissionThreshold').addEventListener('input', (e) => {
+            this.config.admissionControl.utilizationThreshold = parseFloat(e.target.value) / 100;
+        });
+        
+        document.getElementById('admissionPriorities').addEventListener('change', (e) => {
+            this.config.admissionControl.priorities = e.target.value.split(',');
+        });
+        
+        document.getElementById('maxRetries').addEventListener('input', (e) => {
+            this.config.retryPolicy.maxRetries = Math.max(0, parseInt(e.target.value) || 0);
+        });
+        
+        document.getElementById('retryJitter').addEventListener('change', (e) => {
+            this.config.retryPolicy.jitter = e.target.value;
+        });
+        
+        document.getElementById('retryBackoffBase').addEventListener('input', (e) => {
+            this.config.retryPolicy.backoffBase = Math.max(0, parseFloat(e.target.value) || 0);
+        });
+        
+        document.getElementById('retryBackoffMax').addEventListener('input', (e) => {
+            this.config.retryPolicy.backoffMax = Math.max(0, parseFloat(e.target.value) || 0);
+        });
+        
+        document.getElementById('hedgeStrategy').addEventListener('change', (e) => {
+            this.config.hedging.strategy = e.target.value;
+        });
+        
+        document.getElementById('hedgePercentile').addEventListener('input', (e) => {
+            this.config.hedging.percentile = Math.min(99.9, Math.max(50, parseFloat(e.target.value) || 95));
+        });
+        
+        document.querySelectorAll('[data-timeout-priority]').forEach(input => {
+            input.addEventListener('input', (e) => {
+                this.config.requestTimeouts[e.target.dataset.timeoutPriority] = Math.max(0, parseFloat(e.target.value) || 0);
+            });
+        });
+        
+        document.getElementById('outlierDetection').addEventListener('change', (e) => {
+            this.config.outlierDetection.enabled = e.target.value === 'on';
+        });
+        
+        [
+            ['outlierConsecutiveErrors', 'consecutiveErrors'],
+            ['outlierLatencyThreshold', 'latencyThreshold'],
+            ['outlierEjectionTime', 'baseEjectionTime'],
+            ['outlierMaxEjectionPercent', 'maxEjectionPercent'],
+            ['outlierHalfOpenRequests', 'halfOpenRequests']
+        ].forEach(([id, key]) => {
+            document.getElementById(id).addEventListener('input', (e) => {
+                this.config.outlierDetection[key] = Math.max(0, parseFloat(e.target.value) || 0);
+            });
+        });
+        
+        // Failure scenario
+        document.getElementById('scenarioPreset').addEventListener('change', (e) => {
+            document.getElementById('scenarioEditor').value = JSON.stringify(this.engine.scenarioPresets[e.target.value], null, 2);
+            this.applyScenario();
+        });
+        
+        document.getElementById('scenarioEditor').addEventListener('input', () => {
+            document.getElementById('scenarioPreset').value = 'custom';
+        });
+        
+        document.getElementById('applyScenarioBtn').addEventListener('click', () => this.applyScenario());
+        
+        document.getElementById('clearScenarioBtn').addEventListener('click', () => {
+            document.getElementById('scenarioPreset').value = 'none';
+            document.getElementById('scenarioEditor').value = JSON.stringify(this.engine.scenarioPresets.none, null, 2);
+            this.applyScenario();
+        });
+        
+        document.getElementById('scenarioFile').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadScenarioFile(e.target.files[0]);
+            }
+        });
+        
+        document.getElementById('saveScenarioBtn').addEventListener('click', () => this.saveScenario());
+        
+        // Tenant editor: same pattern as the fleet editor below
+        document.getElementById('tenantPreset').addEventListener('change', (e) => {
+            this.setTenants(this.engine.tenantPresets[e.target.value].tenants.map(tenant => ({ ...tenant })));
+        });
+        
+        document.getElementById('tenantTableBody').addEventListener('change', () => {
+            this.setTenants(this.readTenantTable());
+        });
+        
+        document.getElementById('tenantTableBody').addEventListener('click', (e) => {
+            const row = e.target.closest('[data-remove-tenant]') && e.target.closest('tr');
+            if (row) {
+                const tenants = this.readTenantTable();
+                tenants.splice(row.sectionRowIndex, 1);
+                this.setTenants(tenants);
+            }
+        });
+        
+        document.getElementById('addTenantBtn').addEventListener('click', () => {
+            const tenants = this.readTenantTable();
+            if (tenants.length < 12) {
+                tenants.push({ name: `tenant-${tenants.length + 1}`, share: 1, weight: 1, rateLimit: 0, burst: 0, maxInFlight: 0 });
+                this.setTenants(tenants);
+            }
+        });
+        
+        // Microservices: a preset brings its own fleet along with its request templates
+        document.getElementById('callGraphPreset').addEventListener('change', (e) => {
+            const preset = this.engine.callGraphPresets[e.target.value];
+            this.config.services = preset.services.map(service => ({ ...service }));
+            if (preset.servers) {
+                this.setFleetSpecs(preset.servers.map(spec => ({ ...spec })));
+            }
+            document.getElementById('callGraphCode').value = JSON.stringify(preset.graphs, null, 2);
+            this.applyCallGraphs();
+        });
+        
+        document.getElementById('callGraphCode').addEventListener('input', () => {
+            document.getElementById('callGraphPreset').value = 'custom';
+        });
+        
+        document.getElementById('applyCallGraphsBtn').addEventListener('click', () => this.applyCallGraphs());
+        
+        document.getElementById('serviceTableBody').addEventListener('change', (e) => {
+            const service = this.config.services.find(entry => entry.name === e.target.dataset.service);
+            service.algorithm = e.target.value || null;
+        });
+        
+        // Fleet editor: presets replace the whole fleet, any cell edit makes it custom
+        document.getElementById('fleetPreset').addEventListener('change', (e) => {
+            const servers = this.engine.fleetPresets[e.target.value].servers;
+            this.setFleetSpecs(servers ? servers.map(spec => ({ ...spec })) : null);
+        });
+        
+        document.getElementById('fleetTableBody').addEventListener('change', () => {
+            this.setFleetSpecs(this.readFleetTable());
+        });
+        
+        document.getElementById('fleetTableBody').addEventListener('click', (e) => {
+            const row = e.target.closest('[data-remove-server]') && e.target.closest('tr');
+            if (row && row.parentElement.children.length > 1) {
+                const specs = this.readFleetTable();
+                specs.splice(row.sectionRowIndex, 1);
+                this.setFleetSpecs(specs);
+            }
+        });
+        
+        document.getElementById('addServerBtn').addEventListener('click', () => {
+            const specs = this.readFleetTable();
+            if (specs.length < 16) {
+                specs.push({ ...specs[specs.length - 1] });
+                this.setFleetSpecs(specs);
+            }
         });
         
         document.getElementById('taskCount').addEventListener('input', (e) => {
@@ -116,12 +433,69 @@ class AdvancedLoadBalancingSimulator {
             document.getElementById('arrivalRateValue').textContent = e.target.value;
         });
         
+        document.getElementById('arrivalModel').addEventListener('change', (e) => {
+            this.config.arrivalModel = e.target.value;
+            this.updateTraceControls();
+        });
+        
+        // Arrival model parameters; data-scale converts the displayed unit (s, %) to the engine's
+        document.querySelectorAll('[data-arrival-param]').forEach(input => {
+            input.addEventListener('input', (e) => {
+                const scale = parseFloat(e.target.dataset.scale || '1');
+                this.config.arrivalParams[e.target.dataset.arrivalParam] = parseFloat(e.target.value) * scale;
+            });
+        });
+        
+        // Trace replay
+        document.getElementById('traceFile').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadTraceFile(e.target.files[0]);
+            }
+        });
+        
+        document.getElementById('traceTimeScale').addEventListener('input', (e) => {
+            this.config.traceTimeScale = parseFloat(e.target.value) || 1;
+        });
+        
+        document.getElementById('clearTraceBtn').addEventListener('click', () => this.clearTrace());
+        
         document.getElementById('processingTimeMin').addEventListener('input', (e) => {
             this.config.taskProcessingTimeMin = parseInt(e.target.value);
+            this.updateServiceTimeControls();
         });
         
         document.getElementById('processingTimeMax').addEventListener('input', (e) => {
             this.config.taskProcessingTimeMax = parseInt(e.target.value);
+            this.updateServiceTimeControls();
+        });
+        
+        // Service time distributions apply to the selected priority class, or to all of them
+        document.getElementById('serviceTimeClass').addEventListener('change', (e) => {
+            this.serviceTimeClass = e.target.value;
+            this.syncServiceTimeInputs();
+        });
+        
+        document.getElementById('serviceTimeModel').addEventListener('change', (e) => {
+            this.getServiceTimeSpecs().forEach(spec => {
+                spec.model = e.target.value;
+            });
+            this.syncServiceTimeInputs();
+        });
+        
+        document.querySelectorAll('[data-service-param]').forEach(input => {
+            input.addEventListener('input', (e) => {
+                const scale = parseFloat(e.target.dataset.scale || '1');
+                this.getServiceTimeSpecs().forEach(spec => {
+                    spec[e.target.dataset.serviceParam] = parseFloat(e.target.value) * scale;
+                });
+                this.updateServiceTimeControls();
+            });
+        });
+        
+        document.getElementById('serviceHistogramFile').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadHistogramFile(e.target.files[0]);
+            }
         });
         
         document.getElementById('serverFailureRate').addEventListener('input', (e) => {
@@ -134,6 +508,26 @@ class AdvancedLoadBalancingSimulator {
             document.getElementById('healthCheckIntervalValue').textContent = e.target.value + 's';
         });
         
+        document.getElementById('healthChecks').addEventListener('change', (e) => {
+            this.config.healthChecks.enabled = e.target.value === 'on';
+        });
+        
+        document.getElementById('probeTimeout').addEventListener('input', (e) => {
+            this.config.healthChecks.timeout = Math.max(0, parseFloat(e.target.value) || 0);
+        });
+        
+        document.getElementById('unhealthyThreshold').addEventListener('input', (e) => {
+            this.config.healthChecks.unhealthyThreshold = Math.max(1, parseInt(e.target.value) || 1);
+        });
+        
+        document.getElementById('healthyThreshold').addEventListener('input', (e) => {
+            this.config.healthChecks.healthyThreshold = Math.max(1, parseInt(e.target.value) || 1);
+        });
+        
+        document.getElementById('probeFailureRate').addEventListener('input', (e) => {
+            this.config.healthChecks.probeFailureRate = Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)) / 100;
+        });
+        
         // Priority distribution controls
         const priorityInputs = ['high', 'medium', 'low'];
         priorityInputs.forEach(priority => {
@@ -151,6 +545,13 @@ class AdvancedLoadBalancingSimulator {
             }
         });
         
+        document.getElementById('randomSeed').addEventListener('input', (e) => {
+            this.config.seed = e.target.value === '' ? null : parseInt(e.target.value);
+            if (this.simulationState === 'stopped') {
+                this.resetSimulation();
+            }
+        });
+        
         // Simulation controls
         document.getElementById('startBtn').addEventListener('click', () => this.startSimulation());
         document.getElementById('pauseBtn').addEventListener('click', () => this.pauseSimulation());
@@ -187,9 +588,534 @@ class AdvancedLoadBalancingSimulator {
         }
     }
     
+    setFleetSpecs(specs) {
+        this.config.serverSpecs = specs;
+        const preset = Object.keys(this.engine.fleetPresets).find(key => {
+            const servers = this.engine.fleetPresets[key].servers;
+            return JSON.stringify(servers) === JSON.stringify(specs);
+        });
+        document.getElementById('fleetPreset').value = preset || 'custom';
+        document.getElementById('serverCount').disabled = specs !== null;
+        document.getElementById('serverCapacity').disabled = specs !== null;
+        document.getElementById('zoneCount').disabled = specs !== null;
+        ['hourlyCost', 'idlePower', 'peakPower'].forEach(field => {
+            document.getElementById(field).disabled = specs !== null;
+        });
+        if (this.simulationState === 'stopped') {
+            this.resetSimulation();
+        } else {
+            this.logEvent('Fleet changes apply on the next reset');
+        }
+    }
+    
+    setTenants(tenants) {
+        this.config.tenants = tenants;
+        const preset = Object.keys(this.engine.tenantPresets).find(key =>
+            JSON.stringify(this.engine.tenantPresets[key].tenants) === JSON.stringify(tenants));
+        document.getElementById('tenantPreset').value = preset || 'custom';
+        this.renderTenantEditor();
+        if (this.simulationState === 'stopped') {
+            this.resetSimulation();
+        } else {
+            this.logEvent('Tenant changes apply on the next reset');
+        }
+    }
+    
+    // Duplicate names are merged by the engine's lookups, so they are made unique here
+    readTenantTable() {
+        const seen = new Set();
+        return Array.from(document.querySelectorAll('#tenantTableBody tr')).map((row, index) => {
+            const value = (field) => row.querySelector(`[data-field="${field}"]`).value;
+            let name = value('name').trim() || `tenant-${index + 1}`;
+            while (seen.has(name)) name += "'";
+            seen.add(name);
+            return {
+                name,
+                share: Math.max(0, parseFloat(value('share')) || 0),
+                weight: Math.max(0.01, parseFloat(value('weight')) || 1),
+                rateLimit: Math.max(0, parseFloat(value('rateLimit')) || 0),
+                burst: Math.max(0, parseFloat(value('burst')) || 0),
+                maxInFlight: Math.max(0, parseInt(value('maxInFlight')) || 0)
+            };
+        });
+    }
+    
+    renderTenantEditor() {
+        const tbody = document.getElementById('tenantTableBody');
+        tbody.innerHTML = '';
+        this.config.tenants.forEach(tenant => {
+            const row = tbody.insertRow();
+            row.innerHTML = `
+                <td><input type="text" class="form-control" data-field="name"></td>
+                <td><input type="number" class="form-control" data-field="share" value="${tenant.share}" min="0" step="0.5"></td>
+                <td><input type="number" class="form-control" data-field="weight" value="${tenant.weight}" min="0.01" step="0.5"></td>
+                <td><input type="number" class="form-control" data-field="rateLimit" value="${tenant.rateLimit}" min="0" step="0.5"></td>
+                <td><input type="number" class="form-control" data-field="burst" value="${tenant.burst}" min="0"></td>
+                <td><input type="number" class="form-control" data-field="maxInFlight" value="${tenant.maxInFlight}" min="0"></td>
+                <td><button class="btn btn--outline btn--sm" data-remove-tenant title="Remove tenant">&times;</button></td>
+            `;
+            row.querySelector('[data-field="name"]').value = tenant.name;
+        });
+    }
+    
+    // Services keep their algorithm across edits; ones no template calls any more are dropped
+    applyCallGraphs() {
+        const status = document.getElementById('callGraphStatus');
+        try {
+            const graphs = JSON.parse(document.getElementById('callGraphCode').value || '[]');
+            SimulationEngine.validateCallGraphs(graphs);
+            this.config.callGraphs = graphs;
+            this.config.services = SimulationEngine.callGraphServices(graphs).map(name => ({
+                name,
+                algorithm: (this.config.services.find(service => service.name === name) || {}).algorithm || null
+            }));
+            const unserved = this.config.services.filter(service =>
+                !(this.config.serverSpecs || []).some(spec => spec.service === service.name));
+            status.textContent = graphs.length === 0
+                ? 'No call graphs: every task runs on a single server'
+                : `Applied ${graphs.length} request templates over ${this.config.services.length} services` +
+                    (unserved.length > 0 ? ` - no servers for ${unserved.map(service => service.name).join(', ')} yet` : '');
+            if (this.simulationState === 'stopped') {
+                this.resetSimulation();
+            } else {
+                this.renderServiceEditor();
+                this.logEvent('Call graph changes apply on the next reset');
+            }
+        } catch (error) {
+            status.textContent = `Invalid call graphs: ${error.message}`;
+        }
+    }
+    
+    // One row per service; an empty choice follows the global algorithm
+    renderServiceEditor() {
+        const tbody = document.getElementById('serviceTableBody');
+        tbody.innerHTML = '';
+        this.config.services.forEach(service => {
+            const row = tbody.insertRow();
+            row.innerHTML = `
+                <td></td>
+                <td>${this.servers.filter(server => server.service === service.name).length}</td>
+                <td><select class="form-control"></select></td>
+            `;
+            row.cells[0].textContent = service.name;
+            const select = row.querySelector('select');
+            this.fillAlgorithmOptions(select);
+            select.dataset.service = service.name;
+            select.value = service.algorithm || '';
+        });
+    }
+    
+    // One row per region in the current fleet; an empty choice follows the global algorithm
+    renderRegionEditor() {
+        const tbody = document.getElementById('regionTableBody');
+        tbody.innerHTML = '';
+        this.engine.getRegions().forEach(region => {
+            const row = tbody.insertRow();
+            row.innerHTML = `
+                <td></td>
+                <td>${this.servers.filter(server => server.region === region).length}</td>
+                <td><select class="form-control"></select></td>
+            `;
+            row.cells[0].textContent = region;
+            const select = row.querySelector('select');
+            this.fillAlgorithmOptions(select);
+            select.dataset.region = region;
+            select.value = this.config.gslb.regionAlgorithms[region] || '';
+        });
+    }
+    
+    // Algorithm names include user-registered ones, so options are built as text
+    fillAlgorithmOptions(select) {
+        select.add(new Option('Same as global', ''));
+        Object.entries(this.engine.algorithmNames).forEach(([key, name]) => select.add(new Option(name, key)));
+    }
+    
+    renderRegionBreakdown(metrics) {
+        const breakdown = document.getElementById('gslbBreakdown');
+        document.getElementById('gslbFailovers').textContent = metrics.gslb ? metrics.gslb.failovers : 0;
+        document.getElementById('gslbBlackholed').textContent = metrics.gslb ? metrics.gslb.blackholed : 0;
+        breakdown.textContent = metrics.gslb ? '' : 'Single region';
+        if (!metrics.gslb) return;
+        metrics.gslb.regions.forEach(region => {
+            const line = document.createElement('div');
+            line.textContent = `${region.region}${region.up ? '' : ' (down)'}: ${region.routed} routed, avg ${(region.avgResponseTime / 1000).toFixed(2)}s` +
+                (region.failed > 0 ? `, ${region.failed} failed` : '');
+            breakdown.appendChild(line);
+        });
+    }
+    
+    renderServiceBreakdown(metrics) {
+        const breakdown = document.getElementById('serviceBreakdown');
+        const requests = metrics.callGraphs.reduce((sum, graph) => sum + graph.completed + graph.failed, 0);
+        const calls = metrics.callGraphs.reduce((sum, graph) => sum + graph.callsPerRequest * (graph.completed + graph.failed), 0);
+        document.getElementById('callsPerRequest').textContent = (requests > 0 ? calls / requests : 0).toFixed(1);
+        breakdown.textContent = metrics.services.length > 0 ? '' : 'Single tasks';
+        metrics.services.forEach(service => {
+            const line = document.createElement('div');
+            line.textContent = `${service.service}: p95 ${(service.p95Latency / 1000).toFixed(2)}s, own ${(service.avgServiceTime / 1000).toFixed(2)}s` +
+                (service.avgDownstreamTime > 0 ? `, downstream ${(service.avgDownstreamTime / 1000).toFixed(2)}s` : '') +
+                (service.failed > 0 ? `, ${service.failed} failed` : '');
+            breakdown.appendChild(line);
+        });
+    }
+    
+    renderTenantBreakdown(metrics) {
+        const breakdown = document.getElementById('tenantBreakdown');
+        breakdown.textContent = metrics.tenants.length > 0 ? '' : 'Single tenant';
+        metrics.tenants.forEach(tenant => {
+            const line = document.createElement('div');
+            line.textContent = `${tenant.name}: p95 ${(tenant.p95 / 1000).toFixed(2)}s, SLA ${tenant.slaCompliance.toFixed(0)}%` +
+                (tenant.rejected > 0 ? `, ${tenant.rejected} rejected` : '');
+            breakdown.appendChild(line);
+        });
+    }
+    
+    readFleetTable() {
+        return Array.from(document.querySelectorAll('#fleetTableBody tr')).map(row => {
+            const value = (field) => row.querySelector(`[data-field="${field}"]`).value;
+            return {
+                capacity: Math.max(1, parseInt(value('capacity')) || 1),
+                speed: Math.max(0.05, parseFloat(value('speed')) || 1),
+                weight: Math.max(0.01, parseFloat(value('weight')) || 1),
+                maxConcurrent: Math.max(1, parseInt(value('maxConcurrent')) || 1),
+                zone: value('zone').trim() || 'default',
+                rack: value('rack').trim() || null,
+                hourlyCost: Math.max(0, parseFloat(value('hourlyCost')) || 0),
+                idlePower: Math.max(0, parseFloat(value('idlePower')) || 0),
+                peakPower: Math.max(0, parseFloat(value('peakPower')) || 0),
+                region: value('region').trim() || null,
+                rtt: value('rtt') === '' ? null : Math.max(0, parseFloat(value('rtt')) || 0),
+                bandwidth: Math.max(1, parseFloat(value('bandwidth')) || this.config.network.bandwidth),
+                packetLoss: Math.min(100, Math.max(0, parseFloat(value('packetLoss')) || 0)) / 100,
+                service: value('service').trim() || null
+            };
+        });
+    }
+    
+    // The table always shows the fleet the engine actually built, including
+    // the random weights of a homogeneous fleet
+    renderFleetEditor() {
+        const tbody = document.getElementById('fleetTableBody');
+        tbody.innerHTML = '';
+        this.servers.forEach(server => {
+            const row = tbody.insertRow();
+            row.innerHTML = `
+                <td>${server.id}</td>
+                <td><input type="number" class="form-control" data-field="capacity" value="${server.capacity}" min="1"></td>
+                <td><input type="number" class="form-control" data-field="speed" value="${server.speed}" min="0.05" step="0.05"></td>
+                <td><input type="number" class="form-control" data-field="weight" value="${parseFloat(server.weight.toFixed(2))}" min="0.01" step="0.05"></td>
+                <td><input type="number" class="form-control" data-field="maxConcurrent" value="${server.maxConcurrent}" min="1"></td>
+                <td><input type="text" class="form-control" data-field="zone"></td>
+                <td><input type="text" class="form-control" data-field="rack"></td>
+                <td><input type="number" class="form-control" data-field="hourlyCost" value="${server.hourlyCost}" min="0" step="0.01"></td>
+                <td><input type="number" class="form-control" data-field="idlePower" value="${server.idlePower}" min="0" step="10"></td>
+                <td><input type="number" class="form-control" data-field="peakPower" value="${server.peakPower}" min="0" step="10"></td>
+                <td><input type="text" class="form-control" data-field="region"></td>
+                <td><input type="number" class="form-control" data-field="rtt" value="${server.fixedRtt ?? ''}" placeholder="${server.rtt}" min="0"></td>
+                <td><input type="number" class="form-control" data-field="bandwidth" value="${server.bandwidth}" min="1"></td>
+                <td><input type="number" class="form-control" data-field="packetLoss" value="${parseFloat((server.packetLoss * 100).toFixed(2))}" min="0" max="100" step="0.1"></td>
+                <td><input type="text" class="form-control" data-field="service"></td>
+                <td><button class="btn btn--outline btn--sm" data-remove-server title="Remove server">&times;</button></td>
+            `;
+            ['zone', 'rack', 'region', 'service'].forEach(field => {
+                row.querySelector(`[data-field="${field}"]`).value = server[field] || '';
+            });
+        });
+    }
+    
+    bindAlgorithmRadio(radio) {
+        radio.addEventListener('change', (e) => {
+            this.config.algorithm = e.target.value;
+            this.updateAlgorithmDescription();
+        });
+    }
+    
+    // A sanity check, not isolation. Editor code is first run in a throwaway
+    // Worker with a time budget, against the sample fleet and then driving a
+    // short run of the current configuration. Code that passes is compiled on
+    // the page and runs there with full page access and no time limit, because
+    // the engine needs a synchronous answer; a select that loops on inputs the
+    // trial never produced still freezes the page. A select that throws only
+    // fails the task it was routing.
+    runAlgorithmSandbox(source) {
+        const budget = 3000;
+        const trialTasks = 200;
+        const script = `${SimulationEngine.sourceText()}
+self.onmessage = ({ data }) => {
+    try {
+        const select = SimulationEngine.compileAlgorithm(data.source);
+        SimulationEngine.validateAlgorithm(select);
+        
+        let problem = null;
+        SimulationEngine.registerAlgorithm({
+            key: 'sandboxCandidate',
+            select: (servers, task, context) => {
+                try {
+                    const selected = select(servers, task, context);
+                    if (!problem && !servers.includes(selected)) {
+                        problem = 'Task ' + task.id + ': select returned ' + JSON.stringify(selected) + ' instead of one of the servers passed in';
+                    }
+                    return selected;
+                } catch (error) {
+                    problem = problem || 'Task ' + task.id + ': ' + (error instanceof Error ? error.message : error);
+                    throw error;
+                }
+            }
+        });
+        const engine = new SimulationEngine({ ...data.config, algorithm: 'sandboxCandidate', taskCount: ${trialTasks} });
+        engine.trace = data.trace;
+        engine.runBatch();
+        if (problem) {
+            throw new Error('Trial run: ' + problem);
+        }
+        self.postMessage({ valid: true });
+    } catch (error) {
+        self.postMessage({ valid: false, message: error instanceof Error ? error.message : String(error) });
+    }
+};`;
+        
+        return new Promise(resolve => {
+            const url = URL.createObjectURL(new Blob([script], { type: 'text/javascript' }));
+            let worker;
+            try {
+                worker = new Worker(url);
+            } catch (error) {
+                URL.revokeObjectURL(url);
+                resolve({ valid: false, message: `the sandbox could not start (${error.message})` });
+                return;
+            }
+            const finish = (result) => {
+                clearTimeout(timer);
+                worker.terminate();
+                URL.revokeObjectURL(url);
+                resolve(result);
+            };
+            const timer = setTimeout(() => finish({
+                valid: false,
+                message: `did not finish within ${budget / 1000}s - check for endless loops`
+            }), budget);
+            worker.onmessage = ({ data }) => finish(data);
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish({ valid: false, message: event.message });
+            };
+            worker.postMessage({
+                source,
+                config: JSON.parse(JSON.stringify(this.config)),
+                trace: this.engine.trace ? this.engine.trace.slice(0, trialTasks) : null
+            });
+        });
+    }
+    
+    async validateCustomAlgorithm() {
+        const status = document.getElementById('customAlgorithmStatus');
+        const source = document.getElementById('customAlgorithmCode').value;
+        status.textContent = 'Validating in the sandbox...';
+        
+        const result = await this.runAlgorithmSandbox(source);
+        if (!result.valid) {
+            status.textContent = `Invalid: ${result.message}`;
+            return null;
+        }
+        status.textContent = 'Valid: returned an available server for every sample task and a short run of the current configuration';
+        return SimulationEngine.compileAlgorithm(source);
+    }
+    
+    async registerCustomAlgorithm() {
+        const select = await this.validateCustomAlgorithm();
+        if (!select) return;
+        
+        const status = document.getElementById('customAlgorithmStatus');
+        try {
+            const definition = SimulationEngine.registerAlgorithm({
+                key: document.getElementById('customAlgorithmKey').value.trim(),
+                name: document.getElementById('customAlgorithmName').value.trim(),
+                description: document.getElementById('customAlgorithmDescription').value.trim(),
+                select
+            });
+            
+            let radio = document.querySelector(`input[name="algorithm"][value="${definition.key}"]`);
+            if (!radio) {
+                const label = document.createElement('label');
+                label.className = 'radio-label';
+                label.innerHTML = '<input type="radio" name="algorithm"><span class="radio-text"></span>';
+                radio = label.querySelector('input');
+                radio.value = definition.key;
+                document.querySelector('.radio-group').appendChild(label);
+                this.bindAlgorithmRadio(radio);
+            }
+            radio.parentElement.querySelector('.radio-text').textContent = definition.name;
+            radio.checked = true;
+            radio.dispatchEvent(new Event('change'));
+            
+            status.textContent = `Registered "${definition.name}" - selected and included in comparisons`;
+            this.logEvent(`Custom algorithm ${definition.name} registered`);
+        } catch (error) {
+            status.textContent = `Invalid: ${error.message}`;
+        }
+    }
+    
     updateAlgorithmDescription() {
         document.getElementById('algorithmDescription').textContent = 
-            this.algorithmDescriptions[this.config.algorithm];
+            this.engine.algorithmDescriptions[this.config.algorithm];
+        document.getElementById('powerOfChoicesGroup').classList.toggle('hidden', this.config.algorithm !== 'powerOfChoices');
+        document.getElementById('hashingGroup').classList.toggle('hidden',
+            !['consistentHashing', 'boundedLoadHashing', 'maglev'].includes(this.config.algorithm));
+    }
+    
+    updateArrivalModelControls() {
+        document.getElementById('arrivalModelDescription').textContent = 
+            this.engine.arrivalModelDescriptions[this.config.arrivalModel];
+        document.querySelectorAll('[data-arrival-model]').forEach(group => {
+            group.classList.toggle('hidden', group.dataset.arrivalModel !== this.config.arrivalModel);
+        });
+    }
+    
+    // The applied scenario lives in config.scenario, so comparisons replay it for every algorithm
+    applyScenario() {
+        const status = document.getElementById('scenarioStatus');
+        try {
+            const scenario = SimulationEngine.parseScenario(document.getElementById('scenarioEditor').value);
+            this.config.scenario = scenario.events.length > 0 ? scenario : null;
+            status.textContent = this.config.scenario
+                ? `Applied "${scenario.name}" (${scenario.events.length} events) - replayed on every run and comparison`
+                : 'No scenario: comparisons inject one random failure at 30s';
+            this.renderScenarioTimeline();
+            if (this.simulationState === 'stopped') {
+                this.resetSimulation();
+            }
+        } catch (error) {
+            status.textContent = `Invalid scenario: ${error.message}`;
+        }
+    }
+    
+    renderScenarioEditor() {
+        const scenario = this.config.scenario || this.engine.scenarioPresets.none;
+        document.getElementById('scenarioEditor').value = JSON.stringify(scenario, null, 2);
+        this.renderScenarioTimeline();
+    }
+    
+    renderScenarioTimeline() {
+        const list = document.getElementById('scenarioTimeline');
+        list.innerHTML = '';
+        (this.config.scenario ? this.config.scenario.events : []).forEach(event => {
+            const item = document.createElement('li');
+            item.textContent = `${(event.time / 1000).toFixed(1)}s: ${this.engine.describeScenarioEvent(event)}`;
+            list.appendChild(item);
+        });
+    }
+    
+    loadScenarioFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            document.getElementById('scenarioEditor').value = reader.result;
+            document.getElementById('scenarioPreset').value = 'custom';
+            this.applyScenario();
+        };
+        reader.readAsText(file);
+    }
+    
+    saveScenario() {
+        const scenario = this.config.scenario || this.engine.scenarioPresets.none;
+        const blob = new Blob([JSON.stringify(scenario, null, 2)], { type: 'application/json' });
+        this.downloadFile(blob, `scenario_${scenario.name.replace(/[^\w-]+/g, '_')}.json`);
+    }
+    
+    loadTraceFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const records = TraceParser.parse(reader.result, {
+                    timestampUnit: document.getElementById('traceTimestampUnit').value,
+                    msPerSizeUnit: parseFloat(document.getElementById('traceMsPerSizeUnit').value) || 1
+                });
+                this.engine.loadTrace(records, file.name);
+                this.config.arrivalModel = 'trace';
+                
+                const duration = records[records.length - 1].time / 1000;
+                document.getElementById('traceStatus').textContent = 
+                    `${file.name}: ${records.length} requests over ${duration.toFixed(1)}s`;
+                this.updateTraceControls();
+                if (this.simulationState === 'stopped') {
+                    this.resetSimulation();
+                }
+                this.logEvent(`Loaded trace ${file.name} (${records.length} requests)`, 'task-completed');
+            } catch (error) {
+                document.getElementById('traceStatus').textContent = error.message;
+                this.logEvent(`Failed to load trace: ${error.message}`, 'server-failure');
+            }
+        };
+        reader.readAsText(file);
+    }
+    
+    clearTrace() {
+        this.engine.clearTrace();
+        document.getElementById('traceFile').value = '';
+        document.getElementById('traceStatus').textContent = 'No trace loaded. Columns: timestamp, key, service_time or size, priority';
+        this.updateTraceControls();
+        if (this.simulationState === 'stopped') {
+            this.resetSimulation();
+        }
+    }
+    
+    updateTraceControls() {
+        const loaded = this.engine.trace !== null;
+        const modelSelect = document.getElementById('arrivalModel');
+        modelSelect.querySelector('option[value="trace"]').disabled = !loaded;
+        modelSelect.value = this.config.arrivalModel;
+        document.getElementById('clearTraceBtn').disabled = !loaded;
+        document.getElementById('taskCount').disabled = this.config.arrivalModel === 'trace';
+        this.updateArrivalModelControls();
+    }
+    
+    getServiceTimeSpecs() {
+        const distributions = this.config.serviceTimeDistributions;
+        return this.serviceTimeClass === 'all'
+            ? Object.values(distributions)
+            : [distributions[this.serviceTimeClass]];
+    }
+    
+    // Show the selected class's settings (the high class stands in for "all")
+    syncServiceTimeInputs() {
+        const spec = this.getServiceTimeSpecs()[0];
+        document.getElementById('serviceTimeModel').value = spec.model;
+        document.querySelectorAll('[data-service-param]').forEach(input => {
+            const scale = parseFloat(input.dataset.scale || '1');
+            input.value = parseFloat((spec[input.dataset.serviceParam] / scale).toFixed(3));
+        });
+        document.getElementById('serviceHistogramStatus').textContent = spec.histogram
+            ? `${spec.histogram.length} bins loaded`
+            : 'Columns: min, max, count (or value, count)';
+        this.updateServiceTimeControls();
+    }
+    
+    updateServiceTimeControls() {
+        const model = this.getServiceTimeSpecs()[0].model;
+        const classes = this.serviceTimeClass === 'all' ? Object.keys(this.config.serviceTimeDistributions) : [this.serviceTimeClass];
+        document.getElementById('serviceTimeDescription').textContent = 
+            `${this.engine.serviceTimeModelDescriptions[model]}. ` +
+            classes.map(priority => `${priority}: ${this.engine.describeServiceTime(this.config, priority)}`).join('; ');
+        document.querySelectorAll('[data-service-model]').forEach(group => {
+            group.classList.toggle('hidden', group.dataset.serviceModel !== model);
+        });
+    }
+    
+    loadHistogramFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const histogram = ServiceTimeDistribution.parseHistogram(reader.result);
+                this.getServiceTimeSpecs().forEach(spec => {
+                    spec.histogram = histogram;
+                });
+                document.getElementById('serviceHistogramStatus').textContent = `${file.name}: ${histogram.length} bins loaded`;
+                this.updateServiceTimeControls();
+            } catch (error) {
+                document.getElementById('serviceHistogramStatus').textContent = error.message;
+                this.logEvent(`Failed to load histogram: ${error.message}`, 'server-failure');
+            }
+        };
+        reader.readAsText(file);
     }
     
     initializeCharts() {
@@ -348,21 +1274,67 @@ class AdvancedLoadBalancingSimulator {
                     data: [100, 100, 100, 0, 100, 100],
                     borderColor: chartColors[0],
                     backgroundColor: chartColors[0] + '20',
-                    pointBackgroundColor: chartColors[0],
-                    pointBorderColor: chartColors[0],
-                    pointHoverBackgroundColor: chartColors[0],
-                    pointHoverBorderColor: chartColors[0]
+                    pointBackgroundColor: chartColors[0],
+                    pointBorderColor: chartColors[0],
+                    pointHoverBackgroundColor: chartColors[0],
+                    pointHoverBorderColor: chartColors[0]
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    r: {
+                        beginAtZero: true,
+                        max: 100,
+                        ticks: {
+                            stepSize: 20
+                        }
+                    }
+                }
+            }
+        });
+        
+        // Fleet Size Chart
+        const fleetCtx = document.getElementById('fleetChart').getContext('2d');
+        this.charts.fleet = new Chart(fleetCtx, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'Provisioned',
+                    data: [],
+                    borderColor: chartColors[4],
+                    backgroundColor: chartColors[4] + '20',
+                    fill: true,
+                    stepped: true
+                }, {
+                    label: 'Serving',
+                    data: [],
+                    borderColor: chartColors[0],
+                    backgroundColor: chartColors[0] + '20',
+                    fill: false,
+                    stepped: true
                 }]
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
                 scales: {
-                    r: {
+                    y: {
                         beginAtZero: true,
-                        max: 100,
                         ticks: {
-                            stepSize: 20
+                            precision: 0
+                        },
+                        title: {
+                            display: true,
+                            text: 'Servers'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Time (s)'
                         }
                     }
                 }
@@ -370,489 +1342,55 @@ class AdvancedLoadBalancingSimulator {
         });
     }
     
-    createServers() {
-        this.servers = [];
-        this.weightedRoundRobinCounters = [];
-        
-        for (let i = 1; i <= this.config.serverCount; i++) {
-            const weight = Math.random() * 0.5 + 0.75; // Random weight between 0.75-1.25
-            this.servers.push({
-                id: i,
-                currentLoad: 0,
-                capacity: this.config.serverCapacity,
-                weight: weight,
-                healthStatus: 'healthy',
-                responseTimeHistory: [],
-                taskQueues: {
-                    high: [],
-                    medium: [],
-                    low: []
-                },
-                processingTasks: [],
-                totalProcessed: 0,
-                uptime: 100,
-                lastHealthCheck: Date.now(),
-                failureTime: null,
-                recoveryTime: null,
-                creationTime: Date.now()
-            });
-            this.weightedRoundRobinCounters.push(0);
-        }
-    }
-    
-    generateTask() {
-        const processingTime = Math.floor(Math.random() * 
-            (this.config.taskProcessingTimeMax - this.config.taskProcessingTimeMin + 1)) + 
-            this.config.taskProcessingTimeMin;
-        
-        // Determine priority based on distribution
-        const rand = Math.random() * 100;
-        let priority = 'low';
-        
-        if (rand < this.config.priorityDistribution.high) {
-            priority = 'high';
-        } else if (rand < this.config.priorityDistribution.high + this.config.priorityDistribution.medium) {
-            priority = 'medium';
-        }
-        
-        const task = {
-            id: this.currentTaskId++,
-            priority: priority,
-            arrivalTime: this.simulationTime,
-            processingTime: processingTime,
-            remainingTime: processingTime,
-            slaDeadline: this.simulationTime + this.taskPriorities[priority].slaTarget,
-            assignedServer: null,
-            completionTime: null,
-            responseTime: null,
-            status: 'pending',
-            failed: false,
-            creationTimestamp: Date.now()
-        };
-        
-        this.tasks.push(task);
-        this.assignTask(task);
-        
-        const priorityClass = priority === 'high' ? 'high-priority' : '';
-        this.logEvent(`Task ${task.id} arrived (${priority} priority, ${processingTime}ms processing time)`, priorityClass);
-    }
-    
-    assignTask(task) {
-        const healthyServers = this.servers.filter(server => 
-            server.healthStatus === 'healthy' || server.healthStatus === 'degraded'
-        );
-        
-        if (healthyServers.length === 0) {
-            task.failed = true;
-            task.status = 'failed';
-            this.failedTasks.push(task);
-            this.logEvent(`Task ${task.id} failed - no healthy servers available`, 'server-failure');
-            return;
-        }
-        
-        let selectedServer = this.selectServerByAlgorithm(healthyServers, task);
-        
-        if (!selectedServer) {
-            task.failed = true;
-            task.status = 'failed';
-            this.failedTasks.push(task);
-            this.logEvent(`Task ${task.id} failed - server selection failed`, 'server-failure');
-            return;
-        }
-        
-        task.assignedServer = selectedServer.id;
-        task.status = 'processing';
-        
-        // Add to appropriate priority queue
-        selectedServer.taskQueues[task.priority].push(task);
-        selectedServer.processingTasks.push(task);
-        selectedServer.currentLoad += task.processingTime;
-        
-        this.logEvent(`Task ${task.id} assigned to Server ${selectedServer.id} (${task.priority} priority)`, 'task-assigned');
-        
-        if (selectedServer.currentLoad > selectedServer.capacity * 0.9) {
-            this.logEvent(`Server ${selectedServer.id} is near capacity (${Math.round(selectedServer.currentLoad)}/${selectedServer.capacity})`, 'server-overload');
-        }
-    }
-    
-    selectServerByAlgorithm(healthyServers, task) {
-        switch (this.config.algorithm) {
-            case 'roundRobin':
-                return this.roundRobinSelection(healthyServers);
-            case 'leastLoad':
-                return this.leastLoadSelection(healthyServers);
-            case 'weightedRoundRobin':
-                return this.weightedRoundRobinSelection(healthyServers);
-            case 'shortestResponseTime':
-                return this.shortestResponseTimeSelection(healthyServers);
-            case 'randomized':
-                return this.randomizedSelection(healthyServers);
-            case 'consistentHashing':
-                return this.consistentHashingSelection(healthyServers, task);
-            default:
-                return healthyServers[0];
-        }
-    }
-    
-    roundRobinSelection(servers) {
-        if (servers.length === 0) return null;
-        const server = servers[this.roundRobinCounter % servers.length];
-        this.roundRobinCounter = (this.roundRobinCounter + 1) % servers.length;
-        return server;
-    }
-    
-    leastLoadSelection(servers) {
-        return servers.reduce((min, server) => 
-            server.currentLoad < min.currentLoad ? server : min
-        );
-    }
-    
-    weightedRoundRobinSelection(servers) {
-        // Find server with highest weight-to-load ratio
-        let bestServer = servers[0];
-        let bestRatio = bestServer.weight / Math.max(bestServer.currentLoad, 1);
-        
-        servers.forEach(server => {
-            const ratio = server.weight / Math.max(server.currentLoad, 1);
-            if (ratio > bestRatio) {
-                bestRatio = ratio;
-                bestServer = server;
-            }
-        });
-        
-        return bestServer;
-    }
-    
-    shortestResponseTimeSelection(servers) {
-        let bestServer = servers[0];
-        let bestAvgResponseTime = this.getAverageResponseTime(bestServer);
-        
-        servers.forEach(server => {
-            const avgResponseTime = this.getAverageResponseTime(server);
-            if (avgResponseTime < bestAvgResponseTime) {
-                bestAvgResponseTime = avgResponseTime;
-                bestServer = server;
-            }
-        });
-        
-        return bestServer;
-    }
-    
-    randomizedSelection(servers) {
-        // Weighted random selection based on inverse load
-        const weights = servers.map(server => 
-            1 / Math.max(server.currentLoad / server.capacity, 0.1)
-        );
-        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
-        
-        let random = Math.random() * totalWeight;
-        for (let i = 0; i < servers.length; i++) {
-            random -= weights[i];
-            if (random <= 0) {
-                return servers[i];
-            }
-        }
-        
-        return servers[servers.length - 1];
-    }
-    
-    consistentHashingSelection(servers, task) {
-        // Simple hash based on task ID
-        const hash = this.simpleHash(task.id.toString());
-        const serverIndex = hash % servers.length;
-        return servers[serverIndex];
-    }
-    
-    simpleHash(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
-        }
-        return Math.abs(hash);
-    }
-    
-    getAverageResponseTime(server) {
-        if (server.responseTimeHistory.length === 0) return 1000; // Default for new servers
-        const recent = server.responseTimeHistory.slice(-10); // Last 10 responses
-        return recent.reduce((sum, time) => sum + time, 0) / recent.length;
-    }
-    
-    processSimulationStep() {
-        this.simulationTime++;
-        
-        // Update server health every few steps
-        if (this.simulationTime % 3 === 0) {
-            this.updateServerHealth();
-        }
-        
-        // Process tasks on each server (priority-based)
-        this.servers.forEach(server => {
-            this.processServerTasks(server);
-        });
-        
-        // Age tasks (increase priority over time for unprocessed tasks)
-        this.ageTasks();
-        
-        // Update metrics and charts
-        this.calculateAdvancedMetrics();
-        this.updateCharts();
-        this.updateServerHealthDisplay();
-        this.updateUI();
-        this.updateTaskProgress();
-        this.calculateMetrics();
-        
-        // Check if simulation should end
-        const totalTasksGenerated = this.currentTaskId - 1;
-        const allTasksProcessed = (this.completedTasks.length + this.failedTasks.length) >= 
-            Math.min(totalTasksGenerated, this.config.taskCount);
-        
-        if (allTasksProcessed && totalTasksGenerated >= this.config.taskCount) {
-            this.stopSimulation();
-            this.logEvent('Simulation completed - all tasks processed');
-        }
-    }
-    
-    processServerTasks(server) {
-        if (server.healthStatus === 'failed') {
-            // Failed servers can't process tasks - move them to failed
-            const allTasks = [...server.taskQueues.high, ...server.taskQueues.medium, ...server.taskQueues.low];
-            allTasks.forEach(task => {
-                task.failed = true;
-                task.status = 'failed';
-                this.failedTasks.push(task);
-                this.logEvent(`Task ${task.id} failed due to server ${server.id} failure`, 'server-failure');
-            });
-            
-            // Clear all queues
-            server.taskQueues.high = [];
-            server.taskQueues.medium = [];
-            server.taskQueues.low = [];
-            server.processingTasks = [];
-            server.currentLoad = 0;
-            return;
-        }
-        
-        // Process tasks in priority order: high -> medium -> low
-        const priorities = ['high', 'medium', 'low'];
-        let processedThisStep = 0;
-        const maxProcessingPerStep = 3; // Limit processing per step to make it visible
-        
-        priorities.forEach(priority => {
-            if (processedThisStep >= maxProcessingPerStep) return;
-            
-            server.taskQueues[priority] = server.taskQueues[priority].filter(task => {
-                if (processedThisStep >= maxProcessingPerStep) return true;
-                if (task.remainingTime <= 0) return true; // Skip already completed
-                
-                const stepProcessing = Math.min(1000, task.remainingTime); // Process up to 1 second
-                task.remainingTime -= stepProcessing;
-                processedThisStep++;
-                
-                if (task.remainingTime <= 0) {
-                    // Task completed
-                    task.completionTime = this.simulationTime;
-                    task.responseTime = task.completionTime - task.arrivalTime;
-                    task.status = 'completed';
-                    
-                    server.currentLoad = Math.max(0, server.currentLoad - task.processingTime);
-                    server.totalProcessed++;
-                    
-                    // Update response time history
-                    server.responseTimeHistory.push(task.responseTime);
-                    if (server.responseTimeHistory.length > 20) {
-                        server.responseTimeHistory.shift();
-                    }
-                    
-                    // Remove from processing tasks
-                    const processingIndex = server.processingTasks.findIndex(t => t.id === task.id);
-                    if (processingIndex !== -1) {
-                        server.processingTasks.splice(processingIndex, 1);
-                    }
-                    
-                    // Check SLA compliance
-                    const slaViolation = task.responseTime > this.taskPriorities[task.priority].slaTarget;
-                    if (slaViolation) {
-                        this.logEvent(`Task ${task.id} SLA violation (${task.responseTime}ms > ${this.taskPriorities[task.priority].slaTarget}ms)`, 'sla-violation');
-                    }
-                    
-                    this.completedTasks.push(task);
-                    this.logEvent(`Task ${task.id} completed on Server ${server.id} (${task.responseTime}ms response time)`, 'task-completed');
-                    return false; // Remove from queue
-                }
-                return true; // Keep processing
-            });
-        });
-    }
-    
-    ageTasks() {
-        // Increase priority of tasks that have been waiting too long
-        this.tasks.forEach(task => {
-            if (task.status === 'processing') {
-                const waitingTime = this.simulationTime - task.arrivalTime;
-                const slaTimeRemaining = task.slaDeadline - this.simulationTime;
-                
-                // If task is approaching SLA deadline, increase priority
-                if (slaTimeRemaining < this.taskPriorities[task.priority].slaTarget * 0.3) {
-                    if (task.priority === 'low') {
-                        task.priority = 'medium';
-                    } else if (task.priority === 'medium') {
-                        task.priority = 'high';
-                    }
-                }
-            }
-        });
-    }
-    
-    updateServerHealth() {
-        this.servers.forEach(server => {
-            const now = Date.now();
-            
-            // Random failure simulation - higher chance than before for testing
-            if (server.healthStatus === 'healthy' && Math.random() < this.config.serverFailureRate * 3) {
-                server.healthStatus = 'failed';
-                server.failureTime = now;
-                server.recoveryTime = now + this.config.serverRecoveryTime;
-                this.logEvent(`Server ${server.id} failed due to random failure`, 'server-failure');
-            }
-            
-            // Recovery simulation
-            if (server.healthStatus === 'failed' && server.recoveryTime && now >= server.recoveryTime) {
-                server.healthStatus = 'recovering';
-                setTimeout(() => {
-                    if (server.healthStatus === 'recovering') {
-                        server.healthStatus = 'healthy';
-                        server.failureTime = null;
-                        server.recoveryTime = null;
-                        this.logEvent(`Server ${server.id} fully recovered`, 'server-recovery');
-                    }
-                }, 2000);
-                this.logEvent(`Server ${server.id} recovering`, 'server-recovery');
-            }
-            
-            // Performance degradation based on load
-            if (server.healthStatus === 'healthy') {
-                const loadRatio = server.currentLoad / server.capacity;
-                if (loadRatio > 80) { // Use raw comparison instead of percentage
-                    server.healthStatus = 'degraded';
-                    this.logEvent(`Server ${server.id} performance degraded due to high load`, 'server-overload');
-                }
-            } else if (server.healthStatus === 'degraded') {
-                const loadRatio = server.currentLoad / server.capacity;
-                if (loadRatio < 60) { // Use raw comparison instead of percentage
-                    server.healthStatus = 'healthy';
-                }
-            }
-            
-            // Update uptime percentage
-            const totalTime = Math.max(1, now - server.creationTime);
-            const downTime = server.failureTime ? Math.min(now - server.failureTime, this.config.serverRecoveryTime) : 0;
-            server.uptime = Math.max(0, ((totalTime - downTime) / totalTime) * 100);
-        });
-    }
-    
-    calculateAdvancedMetrics() {
-        const timestamp = this.simulationTime;
-        
-        // Response Time metrics and percentiles
-        const completedResponseTimes = this.completedTasks.map(task => task.responseTime).sort((a, b) => a - b);
-        let avgResponseTime = 0;
-        let p50 = 0, p90 = 0, p95 = 0;
-        
-        if (completedResponseTimes.length > 0) {
-            avgResponseTime = completedResponseTimes.reduce((sum, time) => sum + time, 0) / completedResponseTimes.length;
-            p50 = this.getPercentile(completedResponseTimes, 50);
-            p90 = this.getPercentile(completedResponseTimes, 90);
-            p95 = this.getPercentile(completedResponseTimes, 95);
-        }
-        
-        // Throughput
-        const throughput = this.simulationTime > 0 ? this.completedTasks.length / this.simulationTime : 0;
-        
-        // SLA Compliance by priority
-        const slaCompliance = this.calculateSLACompliance();
-        
-        // Failure Rate
-        const totalTasks = this.completedTasks.length + this.failedTasks.length;
-        const failureRate = totalTasks > 0 ? (this.failedTasks.length / totalTasks) * 100 : 0;
-        
-        // Server Availability
-        const avgAvailability = this.servers.reduce((sum, server) => sum + server.uptime, 0) / this.servers.length;
-        
-        // Load Variance
-        const loads = this.servers.map(server => server.currentLoad);
-        const avgLoad = loads.reduce((sum, load) => sum + load, 0) / loads.length;
-        const variance = loads.reduce((sum, load) => sum + Math.pow(load - avgLoad, 2), 0) / loads.length;
-        const loadVariance = Math.sqrt(variance);
-        
-        // Queue Depth
-        const totalQueueSize = this.servers.reduce((sum, server) => {
-            return sum + server.taskQueues.high.length + server.taskQueues.medium.length + server.taskQueues.low.length;
-        }, 0);
-        const avgQueueDepth = totalQueueSize / this.servers.length;
-        
-        // Jitter (Response time variance)
-        const jitter = completedResponseTimes.length > 1 ? 
-            Math.sqrt(completedResponseTimes.reduce((sum, time) => sum + Math.pow(time - avgResponseTime, 2), 0) / completedResponseTimes.length) : 0;
-        
-        // Store metrics
-        this.metrics.responseTime.push(avgResponseTime);
-        this.metrics.throughput.push(throughput);
-        this.metrics.slaCompliance.push(slaCompliance.overall);
-        this.metrics.failureRate.push(failureRate);
-        this.metrics.timestamps.push(timestamp);
-        this.metrics.responseTimePercentiles.p50.push(p50);
-        this.metrics.responseTimePercentiles.p90.push(p90);
-        this.metrics.responseTimePercentiles.p95.push(p95);
-        
-        // Update UI elements
-        document.getElementById('avgResponseTime').textContent = (avgResponseTime / 1000).toFixed(2) + 's';
-        document.getElementById('responseTime50th').textContent = (p50 / 1000).toFixed(2) + 's';
-        document.getElementById('responseTime95th').textContent = (p95 / 1000).toFixed(2) + 's';
-        document.getElementById('slaCompliance').textContent = slaCompliance.overall.toFixed(1) + '%';
-        document.getElementById('slaHigh').textContent = slaCompliance.high.toFixed(1) + '%';
-        document.getElementById('slaMedium').textContent = slaCompliance.medium.toFixed(1) + '%';
-        document.getElementById('throughput').textContent = throughput.toFixed(2);
-        document.getElementById('failureRate').textContent = failureRate.toFixed(1) + '%';
-        document.getElementById('serverAvailability').textContent = avgAvailability.toFixed(1) + '%';
-        document.getElementById('loadVariance').textContent = loadVariance.toFixed(1);
-        document.getElementById('queueDepth').textContent = avgQueueDepth.toFixed(1);
-        document.getElementById('jitter').textContent = jitter.toFixed(1) + 'ms';
-        document.getElementById('simulationTimeHeader').textContent = this.simulationTime + 's';
-    }
-    
-    getPercentile(sortedArray, percentile) {
-        if (sortedArray.length === 0) return 0;
-        const index = Math.ceil((percentile / 100) * sortedArray.length) - 1;
-        return sortedArray[Math.max(0, Math.min(index, sortedArray.length - 1))];
-    }
-    
-    calculateSLACompliance() {
-        const priorities = ['high', 'medium', 'low'];
-        const compliance = { high: 100, medium: 100, low: 100, overall: 100 };
-        
-        priorities.forEach(priority => {
-            const priorityTasks = this.completedTasks.filter(task => task.priority === priority);
-            if (priorityTasks.length > 0) {
-                const slaTarget = this.taskPriorities[priority].slaTarget;
-                const compliantTasks = priorityTasks.filter(task => task.responseTime <= slaTarget);
-                compliance[priority] = (compliantTasks.length / priorityTasks.length) * 100;
-            }
-        });
-        
-        // Overall compliance
-        if (this.completedTasks.length > 0) {
-            const totalCompliant = this.completedTasks.filter(task => 
-                task.responseTime <= this.taskPriorities[task.priority].slaTarget
-            );
-            compliance.overall = (totalCompliant.length / this.completedTasks.length) * 100;
-        }
-        
-        return compliance;
+    renderMetrics(metrics) {
+        document.getElementById('avgResponseTime').textContent = (metrics.avgResponseTime / 1000).toFixed(2) + 's';
+        document.getElementById('responseTime50th').textContent = (metrics.p50 / 1000).toFixed(2) + 's';
+        document.getElementById('responseTime95th').textContent = (metrics.p95 / 1000).toFixed(2) + 's';
+        document.getElementById('responseTime99th').textContent = (metrics.p99 / 1000).toFixed(2) + 's';
+        document.getElementById('avgWaitTime').textContent = (metrics.avgWaitTime / 1000).toFixed(2) + 's';
+        document.getElementById('avgServiceTime').textContent = (metrics.avgServiceTime / 1000).toFixed(2) + 's';
+        document.getElementById('avgNetworkTime').textContent = (metrics.avgNetworkTime / 1000).toFixed(3) + 's';
+        document.getElementById('avgDownstreamTime').textContent = (metrics.avgDownstreamTime / 1000).toFixed(2) + 's';
+        document.getElementById('slaCompliance').textContent = metrics.slaCompliance.overall.toFixed(1) + '%';
+        document.getElementById('slaHigh').textContent = metrics.slaCompliance.high.toFixed(1) + '%';
+        document.getElementById('slaMedium').textContent = metrics.slaCompliance.medium.toFixed(1) + '%';
+        document.getElementById('throughput').textContent = metrics.throughput.toFixed(2);
+        document.getElementById('failureRate').textContent = metrics.failureRate.toFixed(1) + '%';
+        document.getElementById('rejectionRate').textContent = metrics.rejectionRate.toFixed(1) + '%';
+        document.getElementById('retryCount').textContent = metrics.retries;
+        document.getElementById('detectionLag').textContent = (metrics.detectionLag / 1000).toFixed(2) + 's';
+        document.getElementById('misroutedTasks').textContent = metrics.misroutedTasks;
+        document.getElementById('zoneLocality').textContent = metrics.zoneLocality.toFixed(1) + '%';
+        document.getElementById('retryAmplification').textContent = metrics.retryAmplification.toFixed(2) + 'x';
+        document.getElementById('tenantFairness').textContent = metrics.tenantFairness.toFixed(3);
+        this.renderTenantBreakdown(metrics);
+        this.renderRegionBreakdown(metrics);
+        this.renderServiceBreakdown(metrics);
+        document.getElementById('totalCost').textContent = '$' + metrics.totalCost.toFixed(4);
+        document.getElementById('costPer1000Tasks').textContent = '$' + metrics.costPer1000Tasks.toFixed(4);
+        document.getElementById('energyWh').textContent = metrics.energyWh.toFixed(1) + ' Wh';
+        document.getElementById('energyPerTask').textContent = metrics.energyPerTask.toFixed(0) + ' J';
+        document.getElementById('serverAvailability').textContent = metrics.avgAvailability.toFixed(1) + '%';
+        document.getElementById('hedgeExtraLoad').textContent = (metrics.hedging.extraLoad * 100).toFixed(1) + '%';
+        document.getElementById('hedgeCopies').textContent = metrics.hedging.copies;
+        document.getElementById('hedgeWins').textContent = metrics.hedging.wins;
+        document.getElementById('speculativeRetries').textContent = metrics.hedging.speculativeRetries;
+        document.getElementById('loadRegret').textContent = metrics.balancers.loadRegret.toFixed(2);
+        document.getElementById('viewError').textContent = metrics.balancers.viewError.toFixed(2);
+        document.getElementById('balancerInstances').textContent = metrics.balancers.count;
+        document.getElementById('loadVariance').textContent = metrics.loadVariance.toFixed(1);
+        document.getElementById('queueDepth').textContent = metrics.avgQueueDepth.toFixed(1);
+        document.getElementById('jitter').textContent = metrics.jitter.toFixed(1) + 'ms';
+        document.getElementById('keysMoved').textContent = metrics.keysMoved;
+        document.getElementById('lastKeysMoved').textContent = metrics.lastKeyCount > 0
+            ? `Last change: ${metrics.lastKeysMoved} of ${metrics.lastKeyCount}`
+            : 'Last change: -';
+        document.getElementById('simulationTimeHeader').textContent = metrics.timestamp.toFixed(1) + 's';
     }
     
     updateCharts() {
+        const { metrics, tasks, completedTasks: completed } = this.engine;
+        
         // Server Load Chart
         const serverLabels = this.servers.map(server => `Server ${server.id}`);
         const serverLoads = this.servers.map(server => server.currentLoad);
@@ -865,6 +1403,8 @@ class AdvancedLoadBalancingSimulator {
                 case 'degraded': return '#F59E0B';
                 case 'failed': return '#EF4444';
                 case 'recovering': return '#6366F1';
+                case 'booting': return '#0EA5E9';
+                case 'draining': return '#94A3B8';
                 default: return '#1FB8CD';
             }
         });
@@ -877,31 +1417,28 @@ class AdvancedLoadBalancingSimulator {
         
         // Performance Chart
         const maxPoints = 30;
-        const startIndex = Math.max(0, this.metrics.timestamps.length - maxPoints);
+        const startIndex = Math.max(0, metrics.timestamps.length - maxPoints);
         
-        this.charts.performance.data.labels = this.metrics.timestamps.slice(startIndex);
-        this.charts.performance.data.datasets[0].data = this.metrics.responseTime.slice(startIndex);
-        this.charts.performance.data.datasets[1].data = this.metrics.throughput.slice(startIndex);
-        this.charts.performance.data.datasets[2].data = this.metrics.slaCompliance.slice(startIndex);
+        this.charts.performance.data.labels = metrics.timestamps.slice(startIndex);
+        this.charts.performance.data.datasets[0].data = metrics.responseTime.slice(startIndex);
+        this.charts.performance.data.datasets[1].data = metrics.throughput.slice(startIndex);
+        this.charts.performance.data.datasets[2].data = metrics.slaCompliance.slice(startIndex);
         this.charts.performance.update('none');
         
         // Priority Queue Chart
-        const highPriorityTasks = this.tasks.filter(task => task.priority === 'high' && task.status !== 'completed' && !task.failed).length;
-        const mediumPriorityTasks = this.tasks.filter(task => task.priority === 'medium' && task.status !== 'completed' && !task.failed).length;
-        const lowPriorityTasks = this.tasks.filter(task => task.priority === 'low' && task.status !== 'completed' && !task.failed).length;
-        const completedTasks = this.completedTasks.length;
+        const highPriorityTasks = tasks.filter(task => task.priority === 'high' && task.status !== 'completed' && !task.failed).length;
+        const mediumPriorityTasks = tasks.filter(task => task.priority === 'medium' && task.status !== 'completed' && !task.failed).length;
+        const lowPriorityTasks = tasks.filter(task => task.priority === 'low' && task.status !== 'completed' && !task.failed).length;
+        const completedTasks = completed.length;
         
         this.charts.priorityQueue.data.datasets[0].data = [highPriorityTasks, mediumPriorityTasks, lowPriorityTasks, completedTasks];
         this.charts.priorityQueue.update('none');
         
         // SLA Compliance Radar Chart
-        const slaMetrics = this.calculateSLACompliance();
+        const slaMetrics = this.engine.calculateSLACompliance();
         const avgAvailability = this.servers.reduce((sum, server) => sum + server.uptime, 0) / this.servers.length;
-        const loads = this.servers.map(server => server.currentLoad);
-        const avgLoad = loads.reduce((sum, load) => sum + load, 0) / loads.length;
-        const variance = loads.reduce((sum, load) => sum + Math.pow(load - avgLoad, 2), 0) / loads.length;
-        const loadBalance = Math.max(0, 100 - Math.sqrt(variance));
-        const currentThroughput = Math.min(100, (this.metrics.throughput[this.metrics.throughput.length - 1] || 0) * 10);
+        const loadBalance = Math.max(0, 100 - this.engine.calculateLoadVariance());
+        const currentThroughput = Math.min(100, (metrics.throughput[metrics.throughput.length - 1] || 0) * 10);
         
         this.charts.slaCompliance.data.datasets[0].data = [
             slaMetrics.high,
@@ -912,6 +1449,12 @@ class AdvancedLoadBalancingSimulator {
             loadBalance
         ];
         this.charts.slaCompliance.update('none');
+        
+        // Fleet Size Chart
+        this.charts.fleet.data.labels = metrics.timestamps;
+        this.charts.fleet.data.datasets[0].data = metrics.serverCount;
+        this.charts.fleet.data.datasets[1].data = metrics.servingServers;
+        this.charts.fleet.update('none');
     }
     
     updateServerHealthDisplay() {
@@ -920,10 +1463,10 @@ class AdvancedLoadBalancingSimulator {
         
         this.servers.forEach(server => {
             const serverCard = document.createElement('div');
-            serverCard.className = `server-card ${server.healthStatus}`;
+            serverCard.className = `server-card ${server.healthStatus}${server.breaker.state === 'open' ? ' ejected' : ''}`;
             
             const loadPercentage = Math.min(100, (server.currentLoad / server.capacity) * 100);
-            const queueSize = server.taskQueues.high.length + server.taskQueues.medium.length + server.taskQueues.low.length;
+            const queueSize = this.engine.getQueueSize(server);
             
             serverCard.innerHTML = `
                 <div class="server-header">
@@ -933,7 +1476,7 @@ class AdvancedLoadBalancingSimulator {
                 <div class="server-stats">
                     <div class="server-stat">
                         <span>Status:</span>
-                        <span>${server.healthStatus}</span>
+                        <span>${server.healthStatus}${server.partitioned ? ' (partitioned)' : ''}</span>
                     </div>
                     <div class="server-stat">
                         <span>Load:</span>
@@ -943,6 +1486,10 @@ class AdvancedLoadBalancingSimulator {
                         <span>Queue:</span>
                         <span>${queueSize} tasks</span>
                     </div>
+                    <div class="server-stat">
+                        <span>Workers:</span>
+                        <span>${Math.min(server.processingTasks.length, server.maxConcurrent)}/${server.maxConcurrent} busy</span>
+                    </div>
                     <div class="server-stat">
                         <span>Uptime:</span>
                         <span>${server.uptime.toFixed(1)}%</span>
@@ -951,46 +1498,49 @@ class AdvancedLoadBalancingSimulator {
                         <span>Processed:</span>
                         <span>${server.totalProcessed}</span>
                     </div>
+                    <div class="server-stat">
+                        <span>Probes:</span>
+                        <span>${this.config.healthChecks.enabled ? (server.probe.up ? 'up' : 'down') : 'off'}</span>
+                    </div>
+                    <div class="server-stat">
+                        <span>Breaker:</span>
+                        <span>${server.breaker.state}${server.breaker.ejections > 0 ? ` (${server.breaker.ejections} ejections)` : ''}</span>
+                    </div>
+                    <div class="server-stat">
+                        <span>Spec:</span>
+                        <span>${server.capacity} cap, x${server.speed}</span>
+                    </div>
+                    <div class="server-stat">
+                        <span>Location:</span>
+                        <span data-location></span>
+                    </div>
                 </div>
                 <div class="server-load-bar">
                     <div class="server-load-fill ${loadPercentage > 80 ? 'high' : loadPercentage > 60 ? 'medium' : ''}" 
                          style="width: ${loadPercentage}%"></div>
                 </div>
             `;
+            // Zone, rack and region names are typed in the fleet editor
+            serverCard.querySelector('[data-location]').textContent = `${server.zone}, ${server.rack}` +
+                (this.config.network.enabled ? `, ${server.region} (${server.rtt}ms)` : '');
             
             serverGrid.appendChild(serverCard);
         });
     }
     
     simulateRandomFailure() {
-        const healthyServers = this.servers.filter(server => server.healthStatus === 'healthy' || server.healthStatus === 'degraded');
-        if (healthyServers.length > 0) {
-            const randomServer = healthyServers[Math.floor(Math.random() * healthyServers.length)];
-            randomServer.healthStatus = 'failed';
-            randomServer.failureTime = Date.now();
-            randomServer.recoveryTime = Date.now() + this.config.serverRecoveryTime;
-            this.logEvent(`Manually triggered failure on Server ${randomServer.id}`, 'server-failure');
-            this.updateServerHealthDisplay();
-        }
+        this.engine.simulateRandomFailure();
     }
     
     recoverAllServers() {
-        this.servers.forEach(server => {
-            if (server.healthStatus === 'failed' || server.healthStatus === 'recovering') {
-                server.healthStatus = 'healthy';
-                server.failureTime = null;
-                server.recoveryTime = null;
-            }
-        });
-        this.logEvent('All servers manually recovered', 'server-recovery');
-        this.updateServerHealthDisplay();
+        this.engine.recoverAllServers();
     }
     
-    logEvent(message, className = '') {
+    logEvent(message, className = '', time = this.engine.simulationTime) {
         const logElement = document.getElementById('taskLog');
         const entry = document.createElement('div');
         entry.className = `log-entry ${className}`;
-        entry.textContent = `[${this.simulationTime}s] ${message}`;
+        entry.textContent = `[${(time / 1000).toFixed(1)}s] ${message}`;
         logElement.appendChild(entry);
         logElement.scrollTop = logElement.scrollHeight;
         
@@ -1006,7 +1556,7 @@ class AdvancedLoadBalancingSimulator {
     }
     
     startSimulation() {
-        if (this.simulationState === 'stopped') {
+        if (this.simulationState === 'stopped' || this.engine.finished) {
             this.resetSimulation();
         }
         
@@ -1014,25 +1564,12 @@ class AdvancedLoadBalancingSimulator {
         this.updateUI();
         this.logEvent('Advanced simulation started with health monitoring and priority queues');
         
-        // Start task generation with proper timing
-        const taskGenerationRate = 1000 / this.config.arrivalRate;
-        let tasksGenerated = 0;
-        
-        this.taskGenerationInterval = setInterval(() => {
-            if (tasksGenerated < this.config.taskCount) {
-                this.generateTask();
-                tasksGenerated++;
-            } else {
-                clearInterval(this.taskGenerationInterval);
-                this.taskGenerationInterval = null;
-                this.logEvent('Task generation completed');
-            }
-        }, taskGenerationRate);
-        
         // Start simulation steps
         this.updateSimulationSpeed();
     }
     
+    // Playback only controls how much wall-clock time one virtual second takes;
+    // the engine's results are identical at every speed.
     updateSimulationSpeed() {
         if (this.simulationInterval) {
             clearInterval(this.simulationInterval);
@@ -1042,16 +1579,18 @@ class AdvancedLoadBalancingSimulator {
         const interval = speeds[this.config.simulationSpeed];
         
         this.simulationInterval = setInterval(() => {
-            this.processSimulationStep();
+            this.engine.advance(1000);
         }, interval);
     }
     
+    clearTimers() {
+        clearInterval(this.simulationInterval);
+        this.simulationInterval = null;
+    }
+    
     pauseSimulation() {
         this.simulationState = 'paused';
-        clearInterval(this.simulationInterval);
-        if (this.taskGenerationInterval) {
-            clearInterval(this.taskGenerationInterval);
-        }
+        this.clearTimers();
         this.updateUI();
         this.logEvent('Simulation paused');
     }
@@ -1061,67 +1600,24 @@ class AdvancedLoadBalancingSimulator {
         this.updateUI();
         this.logEvent('Simulation resumed');
         
-        // Resume task generation if needed
-        if (this.currentTaskId - 1 < this.config.taskCount && !this.taskGenerationInterval) {
-            const taskGenerationRate = 1000 / this.config.arrivalRate;
-            const tasksGenerated = this.currentTaskId - 1;
-            
-            this.taskGenerationInterval = setInterval(() => {
-                if (this.currentTaskId - 1 < this.config.taskCount) {
-                    this.generateTask();
-                } else {
-                    clearInterval(this.taskGenerationInterval);
-                    this.taskGenerationInterval = null;
-                }
-            }, taskGenerationRate);
-        }
-        
         this.updateSimulationSpeed();
     }
     
     stopSimulation() {
         this.simulationState = 'completed';
-        clearInterval(this.simulationInterval);
-        if (this.taskGenerationInterval) {
-            clearInterval(this.taskGenerationInterval);
-        }
+        this.clearTimers();
         this.updateUI();
     }
     
     resetSimulation() {
         this.simulationState = 'stopped';
-        clearInterval(this.simulationInterval);
-        if (this.taskGenerationInterval) {
-            clearInterval(this.taskGenerationInterval);
-        }
-        
-        this.simulationTime = 0;
-        this.currentTaskId = 1;
-        this.roundRobinCounter = 0;
-        this.tasks = [];
-        this.completedTasks = [];
-        this.failedTasks = [];
-        this.metrics = {
-            responseTime: [],
-            throughput: [],
-            resourceUtilization: [],
-            loadFairness: [],
-            slaCompliance: [],
-            failureRate: [],
-            timestamps: [],
-            responseTimePercentiles: {
-                p50: [],
-                p90: [],
-                p95: []
-            },
-            priorityMetrics: {
-                high: { sla: [], count: 0 },
-                medium: { sla: [], count: 0 },
-                low: { sla: [], count: 0 }
-            }
-        };
+        this.clearTimers();
         
-        this.createServers();
+        this.engine.reset();
+        document.getElementById('currentSeed').textContent = this.engine.seed;
+        this.renderFleetEditor();
+        this.renderRegionEditor();
+        this.renderServiceEditor();
         this.updateCharts();
         this.updateServerHealthDisplay();
         this.updateUI();
@@ -1131,10 +1627,7 @@ class AdvancedLoadBalancingSimulator {
     
     stepSimulation() {
         if (this.simulationState === 'paused' || this.simulationState === 'stopped') {
-            if (this.currentTaskId - 1 < this.config.taskCount) {
-                this.generateTask();
-            }
-            this.processSimulationStep();
+            this.engine.advance(1000);
         }
     }
     
@@ -1167,142 +1660,22 @@ class AdvancedLoadBalancingSimulator {
     }
     
     exportData(format) {
-        const data = {
-            config: this.config,
-            simulationTime: this.simulationTime,
-            servers: this.servers,
-            tasks: this.tasks,
-            completedTasks: this.completedTasks,
-            failedTasks: this.failedTasks,
-            metrics: this.metrics,
-            timestamp: new Date().toISOString(),
-            algorithm: this.config.algorithm
-        };
+        const data = this.engine.getExportData();
         
         if (format === 'json') {
             const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
             this.downloadFile(blob, `advanced_load_balancing_${this.config.algorithm}_${Date.now()}.json`);
         } else if (format === 'csv') {
-            const csv = this.convertToCSV(data);
+            const csv = this.engine.convertToCSV(data);
             const blob = new Blob([csv], { type: 'text/csv' });
             this.downloadFile(blob, `advanced_load_balancing_${this.config.algorithm}_${Date.now()}.csv`);
         } else if (format === 'report') {
-            const report = this.generatePerformanceReport(data);
+            const report = this.engine.generatePerformanceReport(data);
             const blob = new Blob([report], { type: 'text/plain' });
             this.downloadFile(blob, `performance_report_${this.config.algorithm}_${Date.now()}.txt`);
         }
     }
     
-    convertToCSV(data) {
-        let csv = 'Task ID,Priority,Arrival Time,Processing Time,Assigned Server,Completion Time,Response Time,SLA Violation,Failed\n';
-        
-        [...data.completedTasks, ...data.failedTasks].forEach(task => {
-            const slaTarget = this.taskPriorities[task.priority].slaTarget;
-            const slaViolation = task.responseTime > slaTarget;
-            csv += `${task.id},${task.priority},${task.arrivalTime},${task.processingTime},${task.assignedServer || 'N/A'},${task.completionTime || 'N/A'},${task.responseTime || 'N/A'},${slaViolation},${task.failed}\n`;
-        });
-        
-        csv += '\n\nServer ID,Total Processed,Current Load,Capacity,Health Status,Uptime %,Weight\n';
-        data.servers.forEach(server => {
-            csv += `${server.id},${server.totalProcessed},${server.currentLoad},${server.capacity},${server.healthStatus},${server.uptime.toFixed(2)},${server.weight.toFixed(2)}\n`;
-        });
-        
-        return csv;
-    }
-    
-    generatePerformanceReport(data) {
-        const slaCompliance = this.calculateSLACompliance();
-        const avgResponseTime = data.metrics.responseTime[data.metrics.responseTime.length - 1] || 0;
-        const throughput = data.metrics.throughput[data.metrics.throughput.length - 1] || 0;
-        const failureRate = data.metrics.failureRate[data.metrics.failureRate.length - 1] || 0;
-        const avgAvailability = data.servers.reduce((sum, server) => sum + server.uptime, 0) / data.servers.length;
-        
-        return `
-ADVANCED LOAD BALANCING PERFORMANCE REPORT
-==========================================
-
-Algorithm: ${data.algorithm}
-Simulation Time: ${data.simulationTime}s
-Generated at: ${data.timestamp}
-
-CONFIGURATION
--------------
-Servers: ${data.config.serverCount}
-Server Capacity: ${data.config.serverCapacity}
-Total Tasks: ${data.config.taskCount}
-Arrival Rate: ${data.config.arrivalRate} tasks/sec
-Processing Time Range: ${data.config.taskProcessingTimeMin}-${data.config.taskProcessingTimeMax}ms
-Failure Rate: ${(data.config.serverFailureRate * 100).toFixed(1)}%
-
-PERFORMANCE METRICS
--------------------
-Average Response Time: ${(avgResponseTime / 1000).toFixed(2)}s
-50th Percentile: ${(this.getPercentile(data.completedTasks.map(t => t.responseTime).sort((a,b) => a-b), 50) / 1000).toFixed(2)}s
-95th Percentile: ${(this.getPercentile(data.completedTasks.map(t => t.responseTime).sort((a,b) => a-b), 95) / 1000).toFixed(2)}s
-Throughput: ${throughput.toFixed(2)} tasks/sec
-Total Throughput: ${data.completedTasks.length} tasks completed
-
-SLA COMPLIANCE
---------------
-Overall: ${slaCompliance.overall.toFixed(1)}%
-High Priority: ${slaCompliance.high.toFixed(1)}%
-Medium Priority: ${slaCompliance.medium.toFixed(1)}%
-Low Priority: ${slaCompliance.low.toFixed(1)}%
-
-RELIABILITY
------------
-Failure Rate: ${failureRate.toFixed(1)}%
-Server Availability: ${avgAvailability.toFixed(1)}%
-Failed Tasks: ${data.failedTasks.length}
-Completed Tasks: ${data.completedTasks.length}
-
-SERVER STATISTICS
------------------
-${data.servers.map(server => 
-    `Server ${server.id}: ${server.totalProcessed} tasks processed, ${server.uptime.toFixed(1)}% uptime, Status: ${server.healthStatus}`
-).join('\n')}
-
-TASK DISTRIBUTION
------------------
-High Priority: ${data.completedTasks.filter(t => t.priority === 'high').length} tasks
-Medium Priority: ${data.completedTasks.filter(t => t.priority === 'medium').length} tasks
-Low Priority: ${data.completedTasks.filter(t => t.priority === 'low').length} tasks
-
-RECOMMENDATIONS
----------------
-${this.generateRecommendations(data, slaCompliance, avgResponseTime, failureRate)}
-        `.trim();
-    }
-    
-    generateRecommendations(data, slaCompliance, avgResponseTime, failureRate) {
-        const recommendations = [];
-        
-        if (slaCompliance.overall < 90) {
-            recommendations.push("- Consider increasing server capacity or count to improve SLA compliance");
-        }
-        
-        if (avgResponseTime > 3000) {
-            recommendations.push("- Response times are high - consider load balancing algorithm optimization");
-        }
-        
-        if (failureRate > 5) {
-            recommendations.push("- High failure rate detected - implement better health monitoring and failover");
-        }
-        
-        if (data.config.algorithm === 'roundRobin') {
-            recommendations.push("- Round Robin may not be optimal for varying server capacities - consider Weighted Round Robin");
-        }
-        
-        const serverLoads = data.servers.map(s => s.currentLoad);
-        const maxLoad = Math.max(...serverLoads);
-        const minLoad = Math.min(...serverLoads);
-        if (maxLoad - minLoad > data.config.serverCapacity * 0.3) {
-            recommendations.push("- Load distribution is uneven - consider Least Load algorithm");
-        }
-        
-        return recommendations.length > 0 ? recommendations.join('\n') : "- System performance is optimal with current configuration";
-    }
-    
     downloadFile(blob, filename) {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -1314,134 +1687,88 @@ ${this.generateRecommendations(data, slaCompliance, avgResponseTime, failureRate
         URL.revokeObjectURL(url);
     }
     
+    // Runs one algorithm per timer tick so the page stays responsive and the
+    // button can show progress. Each run is on its own headless engine, so the
+    // live dashboard is left untouched.
     async runComparison() {
+        const button = document.getElementById('runComparisonBtn');
+        if (button.disabled) return;
+        
         this.logEvent('Starting comprehensive algorithm comparison...');
         document.getElementById('comparisonSection').style.display = 'block';
         
-        const originalAlgorithm = this.config.algorithm;
-        const algorithms = ['roundRobin', 'leastLoad', 'weightedRoundRobin', 'shortestResponseTime', 'randomized', 'consistentHashing'];
-        const results = {};
+        // One resolved seed keeps every run, with or without tail mitigation, on the same workload
+        const config = { ...this.config, seed: SeededRandom.resolveSeed(this.config.seed) };
+        const algorithms = Object.keys(this.engine.algorithmNames);
+        const runs = algorithms.map(algorithm => ({ algorithm, config }));
         
-        for (const algorithm of algorithms) {
-            this.config.algorithm = algorithm;
-            document.querySelector(`input[value="${algorithm}"]`).checked = true;
-            this.updateAlgorithmDescription();
-            
-            // Run simulation
-            this.resetSimulation();
-            this.simulationState = 'running';
-            
-            // Generate all tasks quickly
-            for (let i = 0; i < this.config.taskCount; i++) {
-                this.generateTask();
-            }
-            
-            // Process until completion with some server failures
-            let failureSimulated = false;
-            while ((this.completedTasks.length + this.failedTasks.length) < this.config.taskCount && this.simulationTime < 200) {
-                this.processSimulationStep();
-                
-                // Simulate a failure halfway through
-                if (!failureSimulated && this.simulationTime > 30) {
-                    this.simulateRandomFailure();
-                    failureSimulated = true;
-                }
-            }
-            
-            // Collect results
-            const slaCompliance = this.calculateSLACompliance();
-            const avgResponseTime = this.metrics.responseTime[this.metrics.responseTime.length - 1] || 0;
-            const throughput = this.metrics.throughput[this.metrics.throughput.length - 1] || 0;
-            const failureRate = this.metrics.failureRate[this.metrics.failureRate.length - 1] || 0;
-            const loadVariance = this.calculateLoadVariance();
-            
-            results[algorithm] = {
-                avgResponseTime: (avgResponseTime / 1000).toFixed(2),
-                slaCompliance: slaCompliance.overall.toFixed(1) + '%',
-                throughput: throughput.toFixed(2),
-                failureRate: failureRate.toFixed(1) + '%',
-                loadVariance: loadVariance.toFixed(1)
-            };
+        // With a tail strategy on, every algorithm also runs without it so its cost can be weighed
+        const baseline = this.config.hedging.strategy !== 'off' ? {} : null;
+        if (baseline) {
+            const withoutHedging = { ...config, hedging: { ...config.hedging, strategy: 'off' } };
+            runs.push(...algorithms.map(algorithm => ({ algorithm, config: withoutHedging, baseline: true })));
         }
         
-        // Restore original algorithm
-        this.config.algorithm = originalAlgorithm;
-        document.querySelector(`input[value="${originalAlgorithm}"]`).checked = true;
-        this.updateAlgorithmDescription();
-        this.resetSimulation();
+        const results = {};
+        const label = button.textContent;
+        button.disabled = true;
+        try {
+            for (const [index, run] of runs.entries()) {
+                button.textContent = `Running ${index + 1}/${runs.length}...`;
+                await new Promise(resolve => setTimeout(resolve));
+                Object.assign(run.baseline ? baseline : results,
+                    SimulationEngine.compareAlgorithms(run.config, [run.algorithm], this.engine.trace));
+            }
+        } finally {
+            button.disabled = false;
+            button.textContent = label;
+        }
         
-        // Display results
-        this.displayComparisonResults(results);
-    }
-    
-    calculateLoadVariance() {
-        const loads = this.servers.map(server => server.currentLoad);
-        const avgLoad = loads.reduce((sum, load) => sum + load, 0) / loads.length;
-        const variance = loads.reduce((sum, load) => sum + Math.pow(load - avgLoad, 2), 0) / loads.length;
-        return Math.sqrt(variance);
+        this.displayComparisonResults(results, baseline);
     }
     
-    displayComparisonResults(results) {
+    displayComparisonResults(results, baseline = null) {
         const tbody = document.querySelector('#comparisonTable tbody');
         tbody.innerHTML = '';
         
-        const algorithmNames = {
-            roundRobin: 'Round Robin',
-            leastLoad: 'Least Load',
-            weightedRoundRobin: 'Weighted RR',
-            shortestResponseTime: 'Shortest Response',
-            randomized: 'Randomized',
-            consistentHashing: 'Consistent Hash'
-        };
-        
-        Object.entries(results).forEach(([algorithm, metrics]) => {
+        const rows = Object.entries(results).flatMap(([algorithm, metrics]) => baseline
+            ? [[this.engine.algorithmNames[algorithm], metrics], [`${this.engine.algorithmNames[algorithm]} (no tail mitigation)`, baseline[algorithm]]]
+            : [[this.engine.algorithmNames[algorithm], metrics]]);
+        rows.forEach(([name, metrics]) => {
             const row = tbody.insertRow();
             
-            row.insertCell().textContent = algorithmNames[algorithm];
+            row.insertCell().textContent = name;
             row.insertCell().textContent = metrics.avgResponseTime + 's';
+            row.insertCell().textContent = metrics.p50 + 's';
+            row.insertCell().textContent = metrics.p95 + 's';
+            row.insertCell().textContent = metrics.p99 + 's';
             row.insertCell().textContent = metrics.slaCompliance;
             row.insertCell().textContent = metrics.throughput + ' tasks/s';
             row.insertCell().textContent = metrics.failureRate;
+            row.insertCell().textContent = metrics.rejectionRate;
+            row.insertCell().textContent = metrics.retryAmplification;
+            row.insertCell().textContent = metrics.extraLoad;
+            row.insertCell().textContent = metrics.totalCost;
+            row.insertCell().textContent = metrics.costPer1000Tasks;
+            row.insertCell().textContent = metrics.energyPerTask;
+            row.insertCell().textContent = metrics.loadRegret;
             row.insertCell().textContent = metrics.loadVariance;
         });
         
         this.logEvent('Algorithm comparison completed');
     }
-
-    updateTaskProgress() {
-        const totalTasks = Math.min(this.currentTaskId - 1, this.config.taskCount);
-        const pendingTasks = this.tasks.filter(task => task.status === 'pending').length;
-        const inProgressTasks = this.tasks.filter(task => task.status === 'processing').length;
-        const completedTasks = this.completedTasks.length;
-        const failedTasks = this.failedTasks.length;
-        
-        this.taskProgress = {
-            total: this.config.taskCount,
-            pending: pendingTasks,
-            inProgress: inProgressTasks,
-            completed: completedTasks,
-            failed: failedTasks,
-            completionPercentage: this.config.taskCount > 0 ? ((completedTasks + failedTasks) / this.config.taskCount) * 100 : 0,
-            completionRate: this.simulationTime > 0 ? completedTasks / (this.simulationTime * 0.1) : 0,
-            successRate: (completedTasks + failedTasks) > 0 ? (completedTasks / (completedTasks + failedTasks)) * 100 : 100
-        };
-        
-        if (this.taskProgress.completionRate > 0 && this.taskProgress.pending + this.taskProgress.inProgress > 0) {
-            this.taskProgress.eta = (this.taskProgress.pending + this.taskProgress.inProgress) / this.taskProgress.completionRate;
-        } else {
-            this.taskProgress.eta = 0;
-        }
-        
-        this.updateTaskProgressUI();
-    }
+    
     updateTaskProgressUI() {
+        const taskProgress = this.engine.taskProgress || this.engine.updateTaskProgress();
         const counters = [
-            { id: 'totalTasks', value: this.taskProgress.total },
-            { id: 'pendingTasks', value: this.taskProgress.pending },
-            { id: 'inProgressTasks', value: this.taskProgress.inProgress },
-            { id: 'completedTasks', value: this.taskProgress.completed },
-            { id: 'failedTasks', value: this.taskProgress.failed },
-            { id: 'completionRate', value: this.taskProgress.completionRate.toFixed(1) }
+            { id: 'totalTasks', value: taskProgress.total },
+            { id: 'pendingTasks', value: taskProgress.pending },
+            { id: 'inProgressTasks', value: taskProgress.inProgress },
+            { id: 'completedTasks', value: taskProgress.completed },
+            { id: 'failedTasks', value: taskProgress.failed },
+            { id: 'rejectedTasks', value: taskProgress.rejected },
+            { id: 'shedTasks', value: taskProgress.shed },
+            { id: 'completionRate', value: taskProgress.completionRate.toFixed(1) }
         ];
         
         counters.forEach(({ id, value }) => {
@@ -1457,7 +1784,7 @@ ${this.generateRecommendations(data, slaCompliance, avgResponseTime, failureRate
             }
         });
         
-        const percentage = this.taskProgress.completionPercentage;
+        const percentage = taskProgress.completionPercentage;
         const circularProgress = document.getElementById('circularProgress');
         const progressPercentage = document.getElementById('progressPercentage');
         
@@ -1474,65 +1801,20 @@ ${this.generateRecommendations(data, slaCompliance, avgResponseTime, failureRate
         
         if (progressFill && progressText) {
             progressFill.style.width = percentage + '%';
-            progressText.textContent = `${Math.round(percentage)}% (${this.taskProgress.completed + this.taskProgress.failed}/${this.taskProgress.total})`;
+            progressText.textContent = `${Math.round(percentage)}% (${taskProgress.completed + taskProgress.failed + taskProgress.rejected}/${taskProgress.total})`;
         }
         
         const etaElement = document.getElementById('etaValue');
         if (etaElement) {
-            if (this.taskProgress.eta > 0) {
-                const minutes = Math.floor(this.taskProgress.eta / 60);
-                const seconds = Math.round(this.taskProgress.eta % 60);
+            if (taskProgress.eta > 0) {
+                const minutes = Math.floor(taskProgress.eta / 60);
+                const seconds = Math.round(taskProgress.eta % 60);
                 etaElement.textContent = minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
             } else {
                 etaElement.textContent = '--';
             }
         }
     }
-    calculateMetrics() {
-        const timestamp = this.simulationTime;
-        
-        let avgResponseTime = 0;
-        if (this.completedTasks.length > 0) {
-            const totalResponseTime = this.completedTasks.reduce((sum, task) => 
-                sum + (task.responseTime || 0), 0);
-            avgResponseTime = totalResponseTime / this.completedTasks.length;
-        }
-        
-        const throughput = this.taskProgress.completionRate;
-        
-        const healthyServers = this.servers.filter(s => s.healthStatus === 'healthy');
-        const totalCapacity = healthyServers.reduce((sum, server) => sum + server.capacity, 0);
-        const totalLoad = healthyServers.reduce((sum, server) => sum + server.currentLoad, 0);
-        const resourceUtilization = totalCapacity > 0 ? (totalLoad / totalCapacity) * 100 : 0;
-        
-        const loads = healthyServers.map(server => server.currentLoad);
-        const avgLoad = loads.reduce((sum, load) => sum + load, 0) / Math.max(loads.length, 1);
-        const variance = loads.reduce((sum, load) => sum + Math.pow(load - avgLoad, 2), 0) / Math.max(loads.length, 1);
-        const standardDeviation = Math.sqrt(variance);
-        
-        const successRate = this.taskProgress.successRate;
-        
-        this.metrics.responseTime.push(avgResponseTime);
-        this.metrics.throughput.push(throughput);
-        this.metrics.resourceUtilization.push(resourceUtilization);
-        this.metrics.loadFairness.push(standardDeviation);
-        this.metrics.successRate.push(successRate);
-        this.metrics.completionVelocity.push(throughput);
-        this.metrics.timestamps.push(timestamp);
-        
-        document.getElementById('avgResponseTime').textContent = (avgResponseTime / 1000).toFixed(2) + 's';
-        document.getElementById('throughput').textContent = throughput.toFixed(2);
-        document.getElementById('resourceUtilization').textContent = Math.round(resourceUtilization) + '%';
-        
-        let fairnessText = 'Perfect';
-        if (standardDeviation > 2000) fairnessText = 'Poor';
-        else if (standardDeviation > 1000) fairnessText = 'Fair';
-        else if (standardDeviation > 500) fairnessText = 'Good';
-        document.getElementById('loadFairness').textContent = fairnessText;
-        
-        document.getElementById('successRate').textContent = Math.round(successRate) + '%';
-        document.getElementById('simulationTime').textContent = Math.round(this.simulationTime * 0.1) + 's';
-    }
 }
 
 // Initialize the simulator when the DOM is loaded
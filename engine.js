@@ -0,0 +1,4739 @@
+// Headless simulation core: servers, tasks, balancing algorithms and metrics.
+// It never touches the DOM; observers subscribe with on() and receive events
+// (the dashboard in app.js is one subscriber, a Node script or test is another).
+//
+// Time is virtual and measured in milliseconds. The engine is a discrete-event
+// simulation: arrivals, service completions, failures, recoveries, health checks
+// and metric samples are timestamped events in a priority queue, so results do
+// not depend on how fast (or whether) a UI plays them back.
+
+// Seedable PRNG (mulberry32). Every stochastic decision in the engine draws
+// from one of these so that a run can be replayed exactly from its seed.
+class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+    
+    // Use the configured seed when there is one, otherwise draw a fresh one
+    static resolveSeed(seed) {
+        if (seed === null || seed === undefined || seed === '') {
+            return Math.floor(Math.random() * 0x100000000);
+        }
+        return Number(seed) >>> 0;
+    }
+    
+    // Uniform float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+    
+    // Integer in [min, max], both inclusive
+    nextInt(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+    
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+    
+    exponential(mean) {
+        return -Math.log(1 - this.next()) * mean;
+    }
+    
+    // Standard normal via Box-Muller (the second variate is discarded)
+    normal() {
+        return Math.sqrt(-2 * Math.log(1 - this.next())) * Math.cos(2 * Math.PI * this.next());
+    }
+}
+
+// Binary min-heap of timestamped events. Events at the same time pop in the
+// order they were scheduled. Cancelled events stay in the heap and are skipped.
+class EventQueue {
+    constructor() {
+        this.heap = [];
+        this.sequence = 0;
+    }
+    
+    get size() {
+        return this.heap.length;
+    }
+    
+    push(time, type, payload = {}) {
+        const event = { time, type, payload, seq: this.sequence++, cancelled: false };
+        const heap = this.heap;
+        heap.push(event);
+        
+        let index = heap.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!this.before(event, heap[parent])) break;
+            heap[index] = heap[parent];
+            index = parent;
+        }
+        heap[index] = event;
+        return event;
+    }
+    
+    peek() {
+        while (this.heap.length > 0 && this.heap[0].cancelled) {
+            this.removeTop();
+        }
+        return this.heap[0] || null;
+    }
+    
+    pop() {
+        const top = this.peek();
+        if (top) {
+            this.removeTop();
+        }
+        return top;
+    }
+    
+    clear() {
+        this.heap = [];
+        this.sequence = 0;
+    }
+    
+    removeTop() {
+        const heap = this.heap;
+        const last = heap.pop();
+        if (heap.length === 0) return;
+        
+        let index = 0;
+        while (true) {
+            const left = index * 2 + 1;
+            const right = left + 1;
+            let smallest = last;
+            let smallestIndex = -1;
+            if (left < heap.length && this.before(heap[left], smallest)) {
+                smallest = heap[left];
+                smallestIndex = left;
+            }
+            if (right < heap.length && this.before(heap[right], smallest)) {
+                smallest = heap[right];
+                smallestIndex = right;
+            }
+            if (smallestIndex === -1) break;
+            heap[index] = smallest;
+            index = smallestIndex;
+        }
+        heap[index] = last;
+    }
+    
+    before(a, b) {
+        return a.time < b.time || (a.time === b.time && a.seq < b.seq);
+    }
+}
+
+// Generates arrival times for the selectable workload models. Every model
+// except 'constant' is a Poisson process; the time-varying ones are sampled
+// by thinning against their peak rate, and 'bursty' is a two-state MMPP.
+class ArrivalProcess {
+    constructor(model, rate, params, random) {
+        this.model = model;
+        this.rate = rate; // mean tasks per second at the base level
+        this.params = params;
+        this.random = random;
+        this.burstActive = false;
+        this.nextSwitchTime = null;
+    }
+    
+    // Arrivals per millisecond at virtual time t
+    rateAt(time) {
+        const baseRate = this.rate / 1000;
+        const params = this.params;
+        
+        switch (this.model) {
+            case 'bursty':
+                return baseRate * (this.burstActive ? params.burstMultiplier : params.idleRateFactor);
+            case 'diurnal':
+                return Math.max(0, baseRate * (1 + params.diurnalAmplitude * Math.sin(2 * Math.PI * time / params.diurnalPeriod)));
+            case 'flashCrowd': {
+                const inSpike = time >= params.flashCrowdStart && time < params.flashCrowdStart + params.flashCrowdDuration;
+                return baseRate * (inSpike ? params.flashCrowdMultiplier : 1);
+            }
+            default:
+                return baseRate;
+        }
+    }
+    
+    peakRate() {
+        const baseRate = this.rate / 1000;
+        const params = this.params;
+        
+        switch (this.model) {
+            case 'diurnal':
+                return baseRate * (1 + Math.abs(params.diurnalAmplitude));
+            case 'flashCrowd':
+                return baseRate * Math.max(1, params.flashCrowdMultiplier);
+            default:
+                return baseRate;
+        }
+    }
+    
+    // Virtual time of the arrival following one at `time`
+    nextArrivalTime(time) {
+        if (this.rate <= 0) return Infinity;
+        
+        switch (this.model) {
+            case 'poisson':
+                return time + this.random.exponential(1000 / this.rate);
+            case 'bursty':
+                return this.nextBurstyArrival(time);
+            case 'diurnal':
+            case 'flashCrowd':
+                return this.nextThinnedArrival(time);
+            default:
+                return time + 1000 / this.rate;
+        }
+    }
+    
+    nextThinnedArrival(time) {
+        const peakRate = this.peakRate();
+        let candidate = time;
+        while (true) {
+            candidate += this.random.exponential(1 / peakRate);
+            if (this.random.next() * peakRate <= this.rateAt(candidate)) {
+                return candidate;
+            }
+        }
+    }
+    
+    // On/off Markov-modulated Poisson process: exponential sojourn in each state,
+    // exponential inter-arrivals at the current state's rate. Both are memoryless,
+    // so a candidate that lands past the next switch is simply redrawn from there.
+    nextBurstyArrival(time) {
+        if (this.nextSwitchTime === null) {
+            this.nextSwitchTime = time + this.random.exponential(this.params.burstOffDuration);
+        }
+        
+        let now = time;
+        while (true) {
+            const rate = this.rateAt(now);
+            const candidate = rate > 0 ? now + this.random.exponential(1 / rate) : Infinity;
+            if (candidate < this.nextSwitchTime) {
+                return candidate;
+            }
+            now = this.nextSwitchTime;
+            this.burstActive = !this.burstActive;
+            this.nextSwitchTime = now + this.random.exponential(
+                this.burstActive ? this.params.burstOnDuration : this.params.burstOffDuration
+            );
+        }
+    }
+}
+
+// Samples task service times (ms) for one priority class. `spec` holds the
+// model name plus the parameters of every model; only the active one is read.
+class ServiceTimeDistribution {
+    constructor(spec, random) {
+        this.spec = spec;
+        this.random = random;
+        if (spec.model === 'empirical' && spec.histogram && spec.histogram.length > 0) {
+            this.totalWeight = spec.histogram.reduce((sum, bin) => sum + bin.weight, 0);
+        }
+    }
+    
+    sample() {
+        const spec = this.spec;
+        const random = this.random;
+        let value;
+        
+        switch (spec.model) {
+            case 'exponential':
+                value = random.exponential(spec.mean);
+                break;
+            case 'logNormal':
+                value = spec.median * Math.exp(spec.sigma * random.normal());
+                break;
+            case 'pareto':
+                value = spec.paretoScale / Math.pow(1 - random.next(), 1 / spec.paretoShape);
+                break;
+            case 'bimodal': {
+                const mean = random.next() < spec.slowFraction ? spec.slowMean : spec.fastMean;
+                value = mean * (1 + spec.modeSpread * random.normal());
+                break;
+            }
+            case 'empirical':
+                if (this.totalWeight) {
+                    value = this.sampleHistogram();
+                    break;
+                }
+                return random.nextInt(spec.min, spec.max); // no histogram loaded yet
+            default:
+                return random.nextInt(spec.min, spec.max);
+        }
+        return Math.max(1, Math.round(value));
+    }
+    
+    // Pick a bin by weight, then a uniform point inside it
+    sampleHistogram() {
+        let target = this.random.next() * this.totalWeight;
+        const bins = this.spec.histogram;
+        for (const bin of bins) {
+            target -= bin.weight;
+            if (target < 0) {
+                return bin.min + this.random.next() * (bin.max - bin.min);
+            }
+        }
+        const last = bins[bins.length - 1];
+        return last.max;
+    }
+    
+    // Analytic mean in ms (Infinity for a Pareto tail with shape <= 1)
+    mean() {
+        const spec = this.spec;
+        switch (spec.model) {
+            case 'exponential':
+                return spec.mean;
+            case 'logNormal':
+                return spec.median * Math.exp(spec.sigma * spec.sigma / 2);
+            case 'pareto':
+                return spec.paretoShape > 1 ? spec.paretoScale * spec.paretoShape / (spec.paretoShape - 1) : Infinity;
+            case 'bimodal':
+                return spec.slowFraction * spec.slowMean + (1 - spec.slowFraction) * spec.fastMean;
+            case 'empirical':
+                if (this.totalWeight) {
+                    return spec.histogram.reduce((sum, bin) => sum + bin.weight * (bin.min + bin.max) / 2, 0) / this.totalWeight;
+                }
+                return (spec.min + spec.max) / 2;
+            default:
+                return (spec.min + spec.max) / 2;
+        }
+    }
+    
+    // Histogram files list either bins (min, max, count) or points (value, count)
+    static parseHistogram(text) {
+        const bins = TraceParser.readRows(text).map((row, index) => {
+            const fields = {};
+            Object.keys(row).forEach(name => {
+                fields[name.toLowerCase().replace(/[\s_-]/g, '')] = row[name];
+            });
+            
+            const weight = parseFloat(TraceParser.field(fields, ['count', 'weight', 'frequency', 'freq', 'n']) ?? 1);
+            let min = parseFloat(TraceParser.field(fields, ['min', 'lower', 'from', 'start']));
+            let max = parseFloat(TraceParser.field(fields, ['max', 'upper', 'to', 'end']));
+            if (isNaN(min) || isNaN(max)) {
+                min = max = parseFloat(TraceParser.field(fields, ['value', 'ms', 'servicetime', 'duration', 'bucket']));
+            }
+            if (isNaN(min) || isNaN(max) || isNaN(weight) || weight < 0 || max < min) {
+                throw new Error(`Histogram row ${index + 1}: expected min,max,count or value,count`);
+            }
+            return { min, max, weight };
+        }).filter(bin => bin.weight > 0);
+        
+        if (bins.length === 0) {
+            throw new Error('Histogram contains no samples');
+        }
+        return bins;
+    }
+}
+
+// 32-bit FNV-1a with a murmur3 finalizer, so that similar keys ("server-1#0",
+// "server-1#1") still land far apart on the ring
+function hashString(str, seed = 0) {
+    let hash = (0x811C9DC5 ^ seed) >>> 0;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85EBCA6B);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xC2B2AE35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+// Consistent hash ring: every server owns `virtualNodes` points on a 32-bit
+// circle and a key belongs to the first point clockwise from its hash.
+class HashRing {
+    constructor(servers, virtualNodes) {
+        this.points = [];
+        servers.forEach(server => {
+            for (let v = 0; v < virtualNodes; v++) {
+                this.points.push({ hash: hashString(`server-${server.id}#${v}`), server });
+            }
+        });
+        this.points.sort((a, b) => a.hash - b.hash);
+    }
+    
+    // Index of the first point at or after `hash`, wrapping around the circle
+    indexOf(hash) {
+        let low = 0;
+        let high = this.points.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.points[mid].hash < hash) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low % this.points.length;
+    }
+    
+    lookup(hash) {
+        return this.points[this.indexOf(hash)].server;
+    }
+    
+    // Distinct servers in ring order starting from the owner of `hash`
+    *walk(hash) {
+        const seen = new Set();
+        const start = this.indexOf(hash);
+        for (let i = 0; i < this.points.length; i++) {
+            const server = this.points[(start + i) % this.points.length].server;
+            if (!seen.has(server)) {
+                seen.add(server);
+                yield server;
+            }
+        }
+    }
+}
+
+// Maglev lookup table (Eisenbud et al., NSDI 2016): each server fills slots
+// of a prime-sized table following its own permutation, taking turns, which
+// gives near-perfect balance and little disruption when membership changes.
+class MaglevTable {
+    constructor(servers, tableSize) {
+        this.table = new Array(tableSize).fill(null);
+        this.serverCount = servers.length;
+        const permutations = servers.map(server => ({
+            server,
+            offset: hashString(`server-${server.id}`, 0x9E3779B9) % tableSize,
+            skip: hashString(`server-${server.id}`, 0x7F4A7C15) % (tableSize - 1) + 1,
+            next: 0
+        }));
+        
+        let filled = 0;
+        while (filled < tableSize) {
+            for (const entry of permutations) {
+                let slot = (entry.offset + entry.next * entry.skip) % tableSize;
+                while (this.table[slot] !== null) {
+                    entry.next++;
+                    slot = (entry.offset + entry.next * entry.skip) % tableSize;
+                }
+                this.table[slot] = entry.server;
+                entry.next++;
+                if (++filled === tableSize) break;
+            }
+        }
+    }
+    
+    lookup(hash) {
+        return this.table[hash % this.table.length];
+    }
+    
+    // Distinct servers in slot order starting from the owner of `hash`
+    *walk(hash) {
+        const seen = new Set();
+        const start = hash % this.table.length;
+        for (let i = 0; i < this.table.length && seen.size < this.serverCount; i++) {
+            const server = this.table[(start + i) % this.table.length];
+            if (!seen.has(server)) {
+                seen.add(server);
+                yield server;
+            }
+        }
+    }
+}
+
+// Parses request traces (CSV, JSON array or JSON Lines) into replayable
+// records: { time, key, serviceTime, priority }, where time is the offset in
+// ms from the first request. Columns are matched by name, case-insensitively.
+class TraceParser {
+    static parse(text, options = {}) {
+        const timestampUnit = options.timestampUnit || 'ms';
+        const msPerSizeUnit = options.msPerSizeUnit || 1;
+        const rows = TraceParser.readRows(text);
+        
+        if (rows.length === 0) {
+            throw new Error('Trace contains no requests');
+        }
+        
+        const records = rows.map((row, index) => {
+            const fields = {};
+            Object.keys(row).forEach(name => {
+                fields[name.toLowerCase().replace(/[\s_-]/g, '')] = row[name];
+            });
+            
+            const rawTime = TraceParser.field(fields, ['timestamp', 'time', 'ts', 'arrivaltime', 'date']);
+            const timestamp = TraceParser.parseTimestamp(rawTime, timestampUnit);
+            if (timestamp === null) {
+                throw new Error(`Trace row ${index + 1}: missing or invalid timestamp "${rawTime ?? ''}"`);
+            }
+            
+            let serviceTime = parseFloat(TraceParser.field(fields, ['servicetime', 'processingtime', 'duration', 'latency', 'responsetime']));
+            if (isNaN(serviceTime)) {
+                serviceTime = parseFloat(TraceParser.field(fields, ['size', 'bytes', 'bodybytes'])) * msPerSizeUnit;
+            }
+            
+            const key = TraceParser.field(fields, ['key', 'session', 'sessionid', 'client', 'clientid', 'user', 'userid']);
+            const tenant = TraceParser.field(fields, ['tenant', 'tenantid', 'customer', 'account', 'org']);
+            const region = TraceParser.field(fields, ['region', 'clientregion']);
+            
+            return {
+                timestamp,
+                key: key === undefined || key === '' ? null : String(key),
+                tenant: tenant === undefined || tenant === '' ? null : String(tenant),
+                region: region === undefined || region === '' ? null : String(region),
+                serviceTime: isNaN(serviceTime) ? null : Math.max(1, Math.round(serviceTime)),
+                priority: TraceParser.parsePriority(TraceParser.field(fields, ['priority', 'class', 'tier']))
+            };
+        });
+        
+        records.sort((a, b) => a.timestamp - b.timestamp);
+        const start = records[0].timestamp;
+        return records.map(({ timestamp, ...record }) => ({ time: timestamp - start, ...record }));
+    }
+    
+    static readRows(text) {
+        const trimmed = text.trim();
+        if (trimmed === '') return [];
+        
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            try {
+                const parsed = JSON.parse(trimmed);
+                if (Array.isArray(parsed)) return parsed;
+                return parsed.requests || parsed.records || [parsed];
+            } catch (error) {
+                // Not a single JSON document - treat it as JSON Lines
+                return trimmed.split(/\r?\n/).filter(line => line.trim() !== '').map((line, index) => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (lineError) {
+                        throw new Error(`Trace line ${index + 1}: invalid JSON`);
+                    }
+                });
+            }
+        }
+        
+        const lines = trimmed.split(/\r?\n/).filter(line => line.trim() !== '');
+        const header = TraceParser.splitCSVLine(lines[0]);
+        return lines.slice(1).map(line => {
+            const values = TraceParser.splitCSVLine(line);
+            const row = {};
+            header.forEach((name, i) => {
+                row[name] = values[i];
+            });
+            return row;
+        });
+    }
+    
+    static splitCSVLine(line) {
+        const values = [];
+        let current = '';
+        let quoted = false;
+        
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                values.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        values.push(current.trim());
+        return values;
+    }
+    
+    static field(fields, names) {
+        const name = names.find(n => fields[n] !== undefined && fields[n] !== '');
+        return name ? fields[name] : undefined;
+    }
+    
+    static parseTimestamp(value, unit) {
+        if (value === undefined || value === null || value === '') return null;
+        if (typeof value === 'number' || /^-?\d+(\.\d+)?$/.test(String(value).trim())) {
+            return parseFloat(value) * (unit === 's' ? 1000 : 1);
+        }
+        const parsed = Date.parse(value);
+        return isNaN(parsed) ? null : parsed;
+    }
+    
+    static parsePriority(value) {
+        if (value === undefined || value === null) return null;
+        const normalized = String(value).trim().toLowerCase();
+        if (['high', 'h', '1', 'critical', 'p0'].includes(normalized)) return 'high';
+        if (['medium', 'med', 'm', '2', 'normal', 'p1'].includes(normalized)) return 'medium';
+        if (['low', 'l', '3', 'batch', 'p2'].includes(normalized)) return 'low';
+        return null;
+    }
+}
+
+class SimulationEngine {
+    constructor(config = {}) {
+        this.listeners = {};
+        this.events = new EventQueue();
+        this.servers = [];
+        this.tasks = [];
+        this.completedTasks = [];
+        this.failedTasks = [];
+        this.rejectedTasks = [];
+        this.currentTaskId = 1;
+        this.simulationTime = 0;
+        this.roundRobinCounter = 0;
+        this.weightedRoundRobinCounters = [];
+        this.finished = false;
+        this.trace = null;
+        
+        this.config = {
+            serverCount: 5,
+            serverCapacity: 100,
+            serverSpecs: null, // per-server [{ capacity, speed, weight, maxConcurrent, zone, rack, hourlyCost, idlePower, peakPower, region, rtt, bandwidth, packetLoss, service }]; overrides the two above
+            zoneCount: 1, // availability zones a homogeneous fleet is spread across
+            racksPerZone: 1, // servers without an explicit rack are spread across this many per zone
+            workerSlotCapacity: 33, // capacity units per worker slot when a server has no explicit maxConcurrent
+            queueDiscipline: 'priority', // 'priority', 'fifo', 'processorSharing' or 'weightedFair' (across tenants)
+            maxQueueLength: 0, // tasks waiting for a worker slot per server; 0 means unlimited
+            taskCount: 100,
+            drainTimeLimit: 3600000, // virtual ms allowed after the last arrival; tasks still unresolved then fail (0 waits forever)
+            taskProcessingTimeMin: 500,
+            taskProcessingTimeMax: 3000,
+            arrivalRate: 8,
+            arrivalModel: 'constant',
+            traceName: null,
+            traceTimeScale: 1, // multiplier on recorded gaps: 0.5 replays twice as fast
+            algorithm: 'roundRobin',
+            powerOfChoicesD: 2, // servers sampled per task by powerOfChoices
+            virtualNodes: 100, // ring points per server for consistent hashing
+            hashLoadFactor: 0.25, // bounded-load hashing caps a server at (1 + factor) x the average
+            maglevTableSize: 65537, // must be prime and larger than the server count
+            sessionCount: 1000, // distinct session keys drawn for synthetic tasks
+            simulationSpeed: 'normal',
+            serverFailureRate: 0.02,
+            healthCheckInterval: 3000, // ms between load checks and, when enabled, health-check probes
+            serverRecoveryTime: 10000,
+            seed: null, // null picks a fresh seed on every reset
+            scenario: null, // scripted failures from SimulationEngine.parseScenario(), replayed on every run
+            tenants: [], // [{ name, share, weight, rateLimit, burst, maxInFlight }]; empty runs a single anonymous tenant
+            services: [], // [{ name, algorithm }]: each service's servers are the ones with that service in serverSpecs
+            callGraphs: [], // request templates [{ name, share, root }]; empty runs every task on one server
+            ...config,
+            priorityDistribution: {
+                high: 20,
+                medium: 50,
+                low: 30,
+                ...config.priorityDistribution
+            },
+            serviceTimeDistributions: {
+                high: SimulationEngine.serviceTimeSpec(config, 'high'),
+                medium: SimulationEngine.serviceTimeSpec(config, 'medium'),
+                low: SimulationEngine.serviceTimeSpec(config, 'low')
+            },
+            admissionControl: {
+                mode: 'off', // 'off', 'reject' (turn away new tasks) or 'shed' (also drop queued ones)
+                utilizationThreshold: 1.2, // outstanding tasks per worker slot across available servers
+                priorities: ['low'], // classes that may be rejected or shed
+                ...config.admissionControl
+            },
+            retryPolicy: {
+                maxRetries: 0, // redispatches after the first attempt; 0 fails tasks outright
+                backoffBase: 100, // ms before the first retry, doubled for each further one
+                backoffMax: 5000,
+                jitter: 'full', // 'none', 'full' (uniform 0..backoff) or 'equal' (half fixed, half random)
+                ...config.retryPolicy
+            },
+            hedging: {
+                // 'hedged' sends a duplicate once an attempt runs past the percentile, 'tied' sends two
+                // copies up front and whichever starts first cancels the other, 'speculative' moves a
+                // slow attempt to another server; 'off' disables
+                strategy: 'off',
+                percentile: 95, // of recent response times, for 'hedged' and 'speculative'
+                minSamples: 20, // responses seen before the percentile is trusted
+                ...config.hedging
+            },
+            requestTimeouts: {
+                // ms a single attempt may spend on a server; 0 means no timeout
+                high: 0,
+                medium: 0,
+                low: 0,
+                ...config.requestTimeouts
+            },
+            outlierDetection: {
+                enabled: false,
+                consecutiveErrors: 5, // timeouts or slow responses in a row that open a server's breaker
+                latencyThreshold: 0, // ms per attempt above which a completion counts as an error; 0 disables
+                baseEjectionTime: 5000, // ms a breaker stays open, multiplied by the server's ejection count
+                maxEjectionTime: 60000,
+                maxEjectionPercent: 50, // share of the fleet that may be ejected at once (at least one server)
+                halfOpenRequests: 1, // outstanding probe tasks a half-open server accepts
+                ...config.outlierDetection
+            },
+            correlatedFailures: {
+                zoneFailureRate: 0, // per zone, same scale as serverFailureRate; takes the whole zone down
+                rackFailureRate: 0, // per rack
+                cascade: false, // overloaded servers may crash, shifting their load to the survivors
+                cascadeLoadThreshold: 3, // outstanding tasks per worker slot at which a server may crash
+                cascadeProbability: 0.3, // chance per health check that a server above the threshold crashes
+                ...config.correlatedFailures
+            },
+            zoneAware: {
+                enabled: false, // route each task within its origin zone
+                spilloverUtilization: 1, // local utilization at which tasks spill over to other zones
+                ...config.zoneAware
+            },
+            network: {
+                enabled: false, // add client and balancer-to-server network delay to every task
+                balancerRegion: 'us-east',
+                clientRegions: null, // { region: relative share }; null puts every client in the balancer's region
+                bandwidth: 1000, // Mbps between the balancer and a server without its own setting
+                responseSize: 64, // KB each response carries back
+                minRto: 200, // ms retransmission timeout floor after a lost packet
+                ...config.network
+            },
+            balancers: {
+                count: 1, // independent balancer instances, each dispatching an even random share of tasks
+                refreshInterval: 0, // ms between each instance's polls of server load; 0 gives every instance a live view
+                trackOwnTasks: false, // between polls, count the tasks an instance itself sent and saw finish
+                ...config.balancers
+            },
+            gslb: {
+                enabled: false, // route each task to a region first, then within that region's pool
+                policy: 'geo', // 'geo' (nearest up region), 'weighted' (by available capacity) or 'latency' (client RTT plus measured response time)
+                ttl: 30000, // ms the global tier keeps its view of region health, like a DNS answer; 0 refreshes on every task
+                minHealthyFraction: 0, // share of a region's servers that must be up for it to take traffic; 0 needs just one
+                regionAlgorithms: {}, // { region: algorithm }; regions not listed use the global algorithm
+                ...config.gslb
+            },
+            costModel: {
+                hourlyCost: 0.1, // $ per provisioned server-hour, whatever its health
+                idlePower: 100, // watts with no task in service
+                peakPower: 250, // watts with every worker slot busy
+                ...config.costModel
+            },
+            autoscaling: {
+                enabled: false,
+                metric: 'utilization', // 'utilization' (%), 'queueDepth' (tasks per server) or 'p95' (ms)
+                scaleOutThreshold: 80,
+                scaleInThreshold: 30,
+                minServers: 2,
+                maxServers: 12,
+                bootTime: 5000, // ms before a new server takes traffic
+                cooldown: 15000, // ms after a scaling action before the next one
+                drainTimeout: 30000, // ms a draining server gets to finish its tasks
+                ...config.autoscaling
+            },
+            healthChecks: {
+                enabled: false, // off: the balancer sees every failure and recovery instantly
+                timeout: 1000, // ms before an unanswered probe counts as failed
+                unhealthyThreshold: 2, // failed probes in a row that mark a server down
+                healthyThreshold: 2, // successful probes in a row that mark it up again
+                probeFailureRate: 0, // chance that a probe to a live server is lost anyway
+                ...config.healthChecks
+            },
+            arrivalParams: {
+                burstMultiplier: 4, // rate while a burst is on, relative to arrivalRate
+                idleRateFactor: 0.25, // rate between bursts, relative to arrivalRate
+                burstOnDuration: 5000, // mean ms a burst lasts
+                burstOffDuration: 15000, // mean ms between bursts
+                diurnalPeriod: 60000, // ms for one full day/night cycle
+                diurnalAmplitude: 0.8, // peak deviation from arrivalRate (0-1)
+                flashCrowdStart: 20000,
+                flashCrowdDuration: 10000,
+                flashCrowdMultiplier: 6,
+                ...config.arrivalParams
+            }
+        };
+        
+        // Fixed cadences of the internal bookkeeping events (virtual ms). The
+        // failure hazard is defined per healthUpdateInterval, independent of
+        // the configurable health-check interval.
+        this.sampleInterval = 1000;
+        this.healthUpdateInterval = 3000;
+        this.recoveryWarmupTime = 2000;
+        
+        this.builtinAlgorithmDescriptions = {
+            roundRobin: "Distributes tasks sequentially across healthy servers in a circular manner",
+            leastLoad: "Assigns tasks to the healthy server with the lowest current load",
+            weightedRoundRobin: "Distributes tasks based on server weights and capacity ratios",
+            shortestResponseTime: "Assigns tasks to the server with the fastest recent response time",
+            randomized: "Random assignment weighted by server load and health status",
+            consistentHashing: "Hash ring with virtual nodes: a session key stays on its server, and only that server's keys move when it fails or recovers",
+            boundedLoadHashing: "Consistent hashing with bounded loads: walks the ring past servers above (1 + factor) x the average load",
+            maglev: "Maglev hashing: a prime-sized lookup table filled from per-server permutations for even spread and minimal remapping",
+            powerOfChoices: "Samples d random servers and picks the one with the fewest outstanding tasks",
+            joinShortestQueue: "Assigns tasks to the server with the fewest queued tasks, ties broken by tasks in service",
+            joinIdleQueue: "Servers report to the balancer when they have a free worker; tasks go to the longest-idle server, or a random one if none is idle"
+        };
+        
+        this.arrivalModelDescriptions = {
+            constant: "Tasks arrive at a fixed interval of 1 / arrival rate",
+            poisson: "Exponential inter-arrival times around the configured arrival rate",
+            bursty: "On/off bursts (MMPP): short periods at a multiple of the rate separated by quiet periods",
+            diurnal: "Arrival rate follows a sinusoidal day/night curve around the configured rate",
+            flashCrowd: "Poisson arrivals with a sudden spike at a multiple of the rate for a fixed window",
+            trace: "Replays an imported request trace, keeping its original inter-arrival gaps (times the time scale)"
+        };
+        
+        this.serviceTimeModelDescriptions = {
+            uniform: "Uniform between the min and max processing time",
+            exponential: "Exponential around a mean: many short tasks, occasional long ones",
+            logNormal: "Log-normal: skewed right, typical of web request latencies",
+            pareto: "Pareto power-law tail: a few huge tasks dominate (shape <= 2 has infinite variance)",
+            bimodal: "Mixture of a fast and a slow population (e.g. cache hits and misses)",
+            empirical: "Samples from an uploaded histogram of observed service times"
+        };
+        
+        this.taskPriorities = {
+            high: { slaTarget: 2000, color: '#EF4444' },
+            medium: { slaTarget: 5000, color: '#F59E0B' },
+            low: { slaTarget: 10000, color: '#10B981' }
+        };
+        
+        // speed multiplies how fast a server works through a task's processing time
+        this.fleetPresets = {
+            homogeneous: { name: 'Homogeneous (sliders)', servers: null },
+            bigSmall: {
+                name: '2 big + 6 small',
+                servers: [
+                    ...Array(2).fill({ capacity: 200, speed: 2, weight: 2, maxConcurrent: 6, zone: 'zone-a', hourlyCost: 0.4, idlePower: 150, peakPower: 400 }),
+                    ...Array(6).fill({ capacity: 60, speed: 0.75, weight: 0.75, maxConcurrent: 2, zone: 'zone-b', hourlyCost: 0.08, idlePower: 60, peakPower: 150 })
+                ]
+            },
+            generations: {
+                name: '4 new + 4 old generation',
+                servers: [
+                    ...Array(4).fill({ capacity: 150, speed: 1.5, weight: 1.5, maxConcurrent: 4, zone: 'zone-a', hourlyCost: 0.2, idlePower: 90, peakPower: 240 }),
+                    ...Array(4).fill({ capacity: 80, speed: 0.8, weight: 0.8, maxConcurrent: 2, zone: 'zone-b', hourlyCost: 0.12, idlePower: 140, peakPower: 260 })
+                ]
+            },
+            geoSpread: {
+                name: '3 regions (network model, global balancing)',
+                servers: [
+                    ...Array(3).fill({ capacity: 100, speed: 1, weight: 1, maxConcurrent: 3, zone: 'us-east-1a', region: 'us-east' }),
+                    ...Array(3).fill({ capacity: 100, speed: 1, weight: 1, maxConcurrent: 3, zone: 'eu-west-1a', region: 'eu-west' }),
+                    ...Array(2).fill({ capacity: 100, speed: 1, weight: 1, maxConcurrent: 3, zone: 'ap-northeast-1a', region: 'ap-northeast', packetLoss: 0.01 })
+                ]
+            },
+            straggler: {
+                name: '5 equal + 1 slow straggler',
+                servers: [
+                    ...Array(5).fill({ capacity: 100, speed: 1, weight: 1, maxConcurrent: 3, zone: 'zone-a' }),
+                    { capacity: 100, speed: 0.3, weight: 1, maxConcurrent: 3, zone: 'zone-a' }
+                ]
+            }
+        };
+        
+        // Coordinates of each region; round trips between regions are derived
+        // from the great-circle distance
+        this.networkRegions = {
+            'us-east': { name: 'US East (Virginia)', lat: 38.9, lon: -77.0 },
+            'us-west': { name: 'US West (California)', lat: 37.4, lon: -122.0 },
+            'sa-east': { name: 'South America (Sao Paulo)', lat: -23.5, lon: -46.6 },
+            'eu-west': { name: 'Europe West (Ireland)', lat: 53.3, lon: -6.3 },
+            'eu-central': { name: 'Europe Central (Frankfurt)', lat: 50.1, lon: 8.7 },
+            'ap-south': { name: 'Asia Pacific (Mumbai)', lat: 19.1, lon: 72.9 },
+            'ap-northeast': { name: 'Asia Pacific (Tokyo)', lat: 35.7, lon: 139.7 }
+        };
+        
+        this.clientMixPresets = {
+            local: { name: 'All in the balancer region', regions: null },
+            transatlantic: { name: 'US East + Europe West', regions: { 'us-east': 1, 'eu-west': 1 } },
+            global: { name: 'Global', regions: { 'us-east': 4, 'us-west': 2, 'eu-west': 2, 'ap-northeast': 1, 'ap-south': 1 } }
+        };
+        
+        // A call node runs `work` ms (exponential; the priority's service time when
+        // left out) on its service, then makes its calls one after another, or
+        // all at once with mode 'parallel', and answers once they have all returned
+        this.callGraphPresets = {
+            none: { name: 'Single tasks (no call graph)', services: [], graphs: [], servers: null },
+            webShop: {
+                name: 'Web shop: gateway, auth, then catalog with pricing | inventory',
+                services: ['gateway', 'auth', 'catalog', 'pricing', 'inventory', 'payments'].map(name => ({ name, algorithm: null })),
+                graphs: [
+                    {
+                        name: 'product page',
+                        share: 3,
+                        root: {
+                            service: 'gateway', work: 50, calls: [
+                                { service: 'auth', work: 100 },
+                                { service: 'catalog', work: 300, mode: 'parallel', calls: [{ service: 'pricing', work: 150 }, { service: 'inventory', work: 200 }] }
+                            ]
+                        }
+                    },
+                    {
+                        name: 'checkout',
+                        share: 1,
+                        root: {
+                            service: 'gateway', work: 50, calls: [
+                                { service: 'auth', work: 100 },
+                                { service: 'inventory', work: 200 },
+                                { service: 'payments', work: 600 }
+                            ]
+                        }
+                    }
+                ],
+                servers: [
+                    ...['gateway', 'auth', 'catalog', 'pricing', 'inventory'].flatMap(service =>
+                        Array(2).fill({ capacity: 100, speed: 1, weight: 1, maxConcurrent: 3, zone: 'zone-a', service })),
+                    { capacity: 100, speed: 1, weight: 1, maxConcurrent: 3, zone: 'zone-a', service: 'payments' }
+                ]
+            },
+            scatterGather: {
+                name: 'Scatter-gather: front end fans out to 8 search shards',
+                services: [{ name: 'frontend', algorithm: null }, { name: 'search', algorithm: null }],
+                graphs: [
+                    { name: 'search', share: 1, root: { service: 'frontend', work: 30, mode: 'parallel', calls: Array(8).fill({ service: 'search', work: 200 }) } }
+                ],
+                servers: [
+                    ...Array(2).fill({ capacity: 100, speed: 1, weight: 1, maxConcurrent: 3, zone: 'zone-a', service: 'frontend' }),
+                    ...Array(6).fill({ capacity: 100, speed: 1, weight: 1, maxConcurrent: 3, zone: 'zone-a', service: 'search' })
+                ]
+            },
+            deepChain: {
+                name: 'Deep chain: api > orders > billing > ledger',
+                services: ['api', 'orders', 'billing', 'ledger'].map(name => ({ name, algorithm: null })),
+                graphs: [
+                    {
+                        name: 'order',
+                        share: 1,
+                        root: { service: 'api', work: 50, calls: [{ service: 'orders', work: 100, calls: [{ service: 'billing', work: 150, calls: [{ service: 'ledger', work: 200 }] }] }] }
+                    }
+                ],
+                servers: ['api', 'orders', 'billing', 'ledger'].flatMap(service =>
+                    Array(2).fill({ capacity: 100, speed: 1, weight: 1, maxConcurrent: 3, zone: 'zone-a', service }))
+            }
+        };
+        
+        // share is a tenant's relative slice of arrivals, weight its slice of each
+        // server under weighted fair queuing; rateLimit (tasks/s, with a burst
+        // bucket) and maxInFlight (outstanding tasks) of 0 mean unlimited
+        this.tenantPresets = {
+            single: { name: 'Single tenant', tenants: [] },
+            equal: {
+                name: '3 equal tenants',
+                tenants: ['alpha', 'beta', 'gamma'].map(name => ({ name, share: 1, weight: 1, rateLimit: 0, burst: 0, maxInFlight: 0 }))
+            },
+            noisyNeighbour: {
+                name: 'Noisy neighbour (1 heavy + 3 light)',
+                tenants: [
+                    { name: 'noisy', share: 6, weight: 1, rateLimit: 0, burst: 0, maxInFlight: 0 },
+                    ...['alpha', 'beta', 'gamma'].map(name => ({ name, share: 1, weight: 1, rateLimit: 0, burst: 0, maxInFlight: 0 }))
+                ]
+            },
+            noisyLimited: {
+                name: 'Noisy neighbour, rate limited',
+                tenants: [
+                    { name: 'noisy', share: 6, weight: 1, rateLimit: 3, burst: 6, maxInFlight: 20 },
+                    ...['alpha', 'beta', 'gamma'].map(name => ({ name, share: 1, weight: 1, rateLimit: 0, burst: 0, maxInFlight: 0 }))
+                ]
+            },
+            tiered: {
+                name: 'Gold / silver / bronze',
+                tenants: [
+                    { name: 'gold', share: 1, weight: 4, rateLimit: 0, burst: 0, maxInFlight: 0 },
+                    { name: 'silver', share: 2, weight: 2, rateLimit: 0, burst: 0, maxInFlight: 0 },
+                    { name: 'bronze', share: 3, weight: 1, rateLimit: 0, burst: 0, maxInFlight: 0 }
+                ]
+            }
+        };
+        
+        // Scripted failure timelines; times and durations in virtual ms
+        this.scenarioPresets = {
+            none: { name: 'None', events: [] },
+            killOne: {
+                name: 'Kill server 3 at 20s, recover at 45s',
+                events: [
+                    { time: 20000, action: 'fail', servers: [3] },
+                    { time: 45000, action: 'recover', servers: [3] }
+                ]
+            },
+            brownout: {
+                name: 'Server 1 at 50% speed from 40s to 60s',
+                events: [
+                    { time: 40000, action: 'degrade', servers: [1], speed: 0.5, duration: 20000 }
+                ]
+            },
+            zoneOutage: {
+                name: 'zone-b outage at 30s for 20s',
+                events: [
+                    { time: 30000, action: 'zoneOutage', zone: 'zone-b', duration: 20000 }
+                ]
+            },
+            partition: {
+                name: 'Servers 2 and 4 partitioned at 25s for 10s',
+                events: [
+                    { time: 25000, action: 'partition', servers: [2, 4], duration: 10000 }
+                ]
+            },
+            chaos: {
+                name: 'Chaos: kill, brownout, partition, recovery',
+                events: [
+                    { time: 20000, action: 'fail', servers: [3] },
+                    { time: 40000, action: 'degrade', servers: [1], speed: 0.5, duration: 20000 },
+                    { time: 50000, action: 'partition', servers: [2], duration: 8000 },
+                    { time: 65000, action: 'recover', servers: [3] },
+                    { time: 70000, action: 'failRandom', count: 1 }
+                ]
+            }
+        };
+        
+        this.healthStatuses = {
+            healthy: { color: '#10B981', description: 'Server operating normally' },
+            degraded: { color: '#F59E0B', description: 'Server experiencing performance issues' },
+            failed: { color: '#EF4444', description: 'Server is down and unavailable' },
+            recovering: { color: '#6366F1', description: 'Server is coming back online' },
+            booting: { color: '#0EA5E9', description: 'Autoscaled server starting up' },
+            draining: { color: '#94A3B8', description: 'Finishing its tasks before removal' }
+        };
+        
+        this.eventHandlers = {
+            arrival: () => this.handleArrival(),
+            completion: ({ server, task }) => this.completeTask(server, task),
+            timeout: ({ server, task, timeout }) => this.handleTimeout(server, task, timeout),
+            delivery: ({ server, task }) => this.handleDelivery(server, task),
+            gslbRefresh: () => this.handleGslbRefresh(),
+            balancerRefresh: ({ balancer }) => this.handleBalancerRefresh(balancer),
+            callReturn: ({ hop }) => this.returnCall(hop),
+            retry: ({ task }) => this.assignTask(task),
+            hedge: ({ task }) => this.handleHedge(task),
+            halfOpen: ({ server }) => this.halfOpenBreaker(server),
+            probeTimeout: ({ server }) => this.recordProbe(server, false),
+            groupFailure: ({ kind, name }) => this.handleGroupFailure(kind, name),
+            serverBooted: ({ server }) => this.finishBoot(server),
+            drainTimeout: ({ server }) => this.retireServer(server, 'drain timeout'),
+            scenario: ({ event }) => this.applyScenarioEvent(event),
+            scenarioRestore: ({ event }) => this.restoreScenarioEvent(event),
+            failure: ({ server }) => this.handleRandomFailure(server),
+            injectFailure: () => this.simulateRandomFailure(),
+            recovery: ({ server }) => this.beginRecovery(server),
+            recovered: ({ server }) => this.finishRecovery(server),
+            healthCheck: () => this.handleHealthCheck(),
+            sample: () => this.handleSample()
+        };
+        
+        this.reset();
+    }
+    
+    // Built-in algorithms plus any registered with SimulationEngine.registerAlgorithm()
+    get algorithmDescriptions() {
+        const descriptions = { ...this.builtinAlgorithmDescriptions };
+        Object.entries(SimulationEngine.customAlgorithms).forEach(([key, definition]) => {
+            descriptions[key] = definition.description;
+        });
+        return descriptions;
+    }
+    
+    get algorithmNames() {
+        const names = { ...SimulationEngine.builtinAlgorithmNames };
+        Object.entries(SimulationEngine.customAlgorithms).forEach(([key, definition]) => {
+            names[key] = definition.name;
+        });
+        return names;
+    }
+    
+    // Adds a selection strategy usable by every engine, including the fresh ones
+    // built by compareAlgorithms(). `select(servers, task, context)` receives the
+    // available (healthy or degraded) servers and must return one of them.
+    static registerAlgorithm({ key, name, description = '', select }) {
+        if (!/^[A-Za-z_$][\w$]*$/.test(key || '')) {
+            throw new Error('Algorithm key must be a JavaScript identifier');
+        }
+        if (Object.prototype.hasOwnProperty.call(SimulationEngine.builtinAlgorithmNames, key)) {
+            throw new Error(`"${key}" is a built-in algorithm`);
+        }
+        if (typeof select !== 'function') {
+            throw new Error('select must be a function (servers, task, context) => server');
+        }
+        SimulationEngine.customAlgorithms[key] = { key, name: name || key, description, select };
+        return SimulationEngine.customAlgorithms[key];
+    }
+    
+    static unregisterAlgorithm(key) {
+        delete SimulationEngine.customAlgorithms[key];
+    }
+    
+    // Compiles editor text in strict mode. A whole function expression is used
+    // as is; anything else is taken as the body of select(servers, task, context).
+    static compileAlgorithm(source) {
+        try {
+            const value = new Function(`"use strict";\nreturn (${source}\n);`)();
+            if (typeof value === 'function') {
+                return value;
+            }
+        } catch (error) {
+            // Not an expression - compile it as a function body below
+        }
+        return new Function(`"use strict";\nreturn function select(servers, task, context) {\n${source}\n};`)();
+    }
+    
+    // The engine's own declarations as source text, for a Worker built from a
+    // Blob: a page opened from file:// cannot importScripts() engine.js
+    static sourceText() {
+        return [SeededRandom, EventQueue, ArrivalProcess, ServiceTimeDistribution, hashString,
+            HashRing, MaglevTable, TraceParser, SimulationEngine].join('\n\n') +
+            `\n\nSimulationEngine.builtinAlgorithmNames = Object.freeze(${JSON.stringify(SimulationEngine.builtinAlgorithmNames)});` +
+            '\n\nSimulationEngine.customAlgorithms = {};\n';
+    }
+    
+    // Dry-run a select function against a sample fleet: four servers, one of
+    // them degraded, filling up round-robin as sample tasks of every priority
+    // arrive. Throws with a description of the first problem found.
+    static validateAlgorithm(select) {
+        const engine = new SimulationEngine({ seed: 1, serverCount: 4, taskCount: 0 });
+        engine.servers[3].healthStatus = 'degraded';
+        const context = engine.createAlgorithmContext({});
+        
+        for (let i = 1; i <= 20; i++) {
+            const task = engine.generateTask();
+            const selected = select(engine.servers, task, context);
+            if (!engine.servers.includes(selected)) {
+                throw new Error(`Task ${i}: select returned ${JSON.stringify(selected)} instead of one of the servers passed in`);
+            }
+        }
+        return true;
+    }
+    
+    // Throws on a request template the engine could not run
+    static validateCallGraphs(graphs) {
+        if (!Array.isArray(graphs)) {
+            throw new Error('Call graphs must be an array of { name, share, root }');
+        }
+        const checkNode = (node, path) => {
+            if (!node || typeof node.service !== 'string' || node.service === '') {
+                throw new Error(`${path}: every call needs a service name`);
+            }
+            if (node.work !== undefined && !(node.work > 0)) {
+                throw new Error(`${path} > ${node.service}: work must be a positive number of ms`);
+            }
+            if (node.mode !== undefined && node.mode !== 'sequential' && node.mode !== 'parallel') {
+                throw new Error(`${path} > ${node.service}: mode must be 'sequential' or 'parallel'`);
+            }
+            if (node.calls !== undefined && !Array.isArray(node.calls)) {
+                throw new Error(`${path} > ${node.service}: calls must be an array`);
+            }
+            (node.calls || []).forEach(call => checkNode(call, `${path} > ${node.service}`));
+        };
+        graphs.forEach((graph, i) => {
+            if (!graph || typeof graph.name !== 'string' || graph.name === '') {
+                throw new Error(`Call graph ${i + 1} needs a name`);
+            }
+            if (graph.share !== undefined && !(graph.share > 0)) {
+                throw new Error(`${graph.name}: share must be a positive number`);
+            }
+            checkNode(graph.root, graph.name);
+        });
+        return true;
+    }
+    
+    // Every service the templates call, in the order they first appear
+    static callGraphServices(graphs) {
+        const names = [];
+        const visit = node => {
+            if (!names.includes(node.service)) {
+                names.push(node.service);
+            }
+            (node.calls || []).forEach(visit);
+        };
+        graphs.forEach(graph => visit(graph.root));
+        return names;
+    }
+    
+    // Default parameters for each service-time model, overridden per priority
+    // class by config.serviceTimeDistributions
+    static serviceTimeSpec(config, priority) {
+        return {
+            model: 'uniform',
+            mean: 1500, // exponential
+            median: 1200, // log-normal
+            sigma: 0.8,
+            paretoScale: 600, // minimum service time of the Pareto tail
+            paretoShape: 2.2,
+            fastMean: 800, // bimodal
+            slowMean: 5000,
+            slowFraction: 0.2,
+            modeSpread: 0.2, // coefficient of variation of each mode
+            histogram: null, // empirical: [{ min, max, weight }]
+            ...(config.serviceTimeDistributions || {})[priority]
+        };
+    }
+    
+    // Subscribe to an engine event; returns a function that unsubscribes.
+    on(eventName, handler) {
+        if (!this.listeners[eventName]) {
+            this.listeners[eventName] = [];
+        }
+        this.listeners[eventName].push(handler);
+        return () => this.off(eventName, handler);
+    }
+    
+    off(eventName, handler) {
+        const handlers = this.listeners[eventName];
+        if (handlers) {
+            this.listeners[eventName] = handlers.filter(h => h !== handler);
+        }
+    }
+    
+    emit(eventName, payload) {
+        const handlers = this.listeners[eventName];
+        if (handlers) {
+            handlers.forEach(handler => handler(payload));
+        }
+    }
+    
+    logEvent(message, className = '') {
+        if (this.listeners.log && this.listeners.log.length > 0) {
+            this.emit('log', { time: this.simulationTime, message, className });
+        }
+    }
+    
+    createEmptyMetrics() {
+        return {
+            responseTime: [],
+            waitTime: [],
+            serviceTime: [],
+            throughput: [],
+            resourceUtilization: [],
+            loadFairness: [],
+            loadVariance: [],
+            slaCompliance: [],
+            failureRate: [],
+            successRate: [],
+            rejectionRate: [],
+            retryAmplification: [],
+            serverCount: [], // provisioned servers, booting and draining included
+            servingServers: [],
+            timestamps: [],
+            responseTimePercentiles: {
+                p50: [],
+                p90: [],
+                p95: []
+            },
+            priorityMetrics: {
+                high: { sla: [], count: 0 },
+                medium: { sla: [], count: 0 },
+                low: { sla: [], count: 0 }
+            }
+        };
+    }
+    
+    reset() {
+        this.seed = SeededRandom.resolveSeed(this.config.seed);
+        // Independent streams so that draws made by an algorithm (randomized
+        // selection) never shift the workload or the failure schedule
+        this.random = new SeededRandom(this.seed);
+        this.workloadRandom = new SeededRandom(this.seed ^ 0x5BD1E995);
+        this.failureRandom = new SeededRandom(this.seed ^ 0x27D4EB2F);
+        this.probeRandom = new SeededRandom(this.seed ^ 0x7FEB352D);
+        this.correlatedRandom = new SeededRandom(this.seed ^ 0x2545F491);
+        this.zoneRandom = new SeededRandom(this.seed ^ 0x94D049BB);
+        this.keyRandom = new SeededRandom(this.seed ^ 0xC2B2AE35);
+        this.retryRandom = new SeededRandom(this.seed ^ 0x9E3779B9);
+        this.tenantRandom = new SeededRandom(this.seed ^ 0x68E31DA4);
+        this.networkRandom = new SeededRandom(this.seed ^ 0x1B873593);
+        this.gslbRandom = new SeededRandom(this.seed ^ 0xCC9E2D51);
+        this.balancerRandom = new SeededRandom(this.seed ^ 0x1B03738B);
+        this.callRandom = new SeededRandom(this.seed ^ 0x3C6EF372);
+        // Service times get their own stream so that changing a distribution
+        // leaves the priority sequence of the workload untouched
+        const serviceRandom = new SeededRandom(this.seed ^ 0x85EBCA6B);
+        this.serviceTimes = {};
+        Object.keys(this.taskPriorities).forEach(priority => {
+            this.serviceTimes[priority] = new ServiceTimeDistribution({
+                min: this.config.taskProcessingTimeMin,
+                max: this.config.taskProcessingTimeMax,
+                ...this.config.serviceTimeDistributions[priority]
+            }, serviceRandom);
+        });
+        this.arrivalProcess = new ArrivalProcess(
+            this.config.arrivalModel,
+            this.config.arrivalRate,
+            this.config.arrivalParams,
+            new SeededRandom(this.seed ^ 0x165667B1)
+        );
+        this.events.clear();
+        this.simulationTime = 0;
+        this.currentTaskId = 1;
+        this.roundRobinCounter = 0;
+        this.finished = false;
+        this.drainDeadline = null;
+        this.tasks = [];
+        this.completedTasks = [];
+        this.failedTasks = [];
+        this.rejectedTasks = [];
+        this.statusCounts = { pending: 0, processing: 0, completed: 0, failed: 0, rejected: 0 };
+        this.rejectionCounts = { admission: 0, queueFull: 0, shed: 0, rateLimited: 0, quota: 0 };
+        this.retryStats = { attempts: 0, dispatchedTasks: 0, retries: 0, timeouts: 0 };
+        this.hedgeStats = { copies: 0, wins: 0, cancelled: 0, speculativeRetries: 0, wastedWork: 0, servedWork: 0 };
+        this.outlierStats = { ejections: 0, capped: 0 };
+        this.correlatedStats = { zoneOutages: 0, rackOutages: 0, cascadeFailures: 0 };
+        this.zoneStats = { local: 0, spillover: 0 };
+        this.retiredServers = [];
+        this.scalingEvents = [];
+        this.lastScalingTime = -Infinity;
+        this.windowResponseTimes = []; // completions since the last autoscaler evaluation
+        this.healthCheckStats = { probes: 0, failedProbes: 0, detections: 0, falseDetections: 0, detectionLagSum: 0, maxDetectionLag: 0, misroutedTasks: 0 };
+        this.responseStats = { sum: 0, sumOfSquares: 0, waitSum: 0, serviceSum: 0, downstreamSum: 0 };
+        this.sortedResponseTimes = [];
+        this.unsortedResponseTimes = [];
+        this.slaStats = {
+            high: { completed: 0, compliant: 0 },
+            medium: { completed: 0, compliant: 0 },
+            low: { completed: 0, compliant: 0 }
+        };
+        this.networkStats = { networkSum: 0, lostPackets: 0, regions: {} };
+        this.gslbStats = { failovers: 0, blackholed: 0, regions: {} };
+        this.gslbView = {}; // region -> up, as last seen by the global tier
+        this.balancerStats = { decisions: 0, regretSum: 0, viewErrorSum: 0, refreshes: 0 };
+        this.serviceStats = {};
+        this.callGraphStats = {};
+        this.hopRecords = [];
+        this.dispatcher = null; // the balancer instance whose view selection algorithms read
+        this.tenantStats = {};
+        this.tenantBuckets = {};
+        this.config.tenants.forEach(tenant => this.getTenantStats(tenant.name));
+        this.metrics = this.createEmptyMetrics();
+        this.lastMetrics = null;
+        this.taskProgress = null;
+        this.hashTables = {}; // per routing scope: the whole fleet, one region or one zone
+        this.customAlgorithmState = null;
+        this.keyHashes = new Map();
+        this.hashStats = { remaps: 0, keysMoved: 0, lastKeysMoved: 0, lastKeyCount: 0 };
+        
+        this.createBalancers();
+        this.createServers();
+        if (this.config.balancers.refreshInterval > 0) {
+            this.balancers.forEach(balancer => this.refreshBalancerView(balancer));
+        }
+        if (this.config.gslb.enabled) {
+            this.refreshGslbView();
+        }
+        this.scheduleInitialEvents();
+        this.emit('reset', this);
+    }
+    
+    createServers() {
+        this.servers = [];
+        this.weightedRoundRobinCounters = [];
+        
+        const specs = this.config.serverSpecs;
+        const count = specs ? specs.length : this.config.serverCount;
+        const zoneMembers = {};
+        for (let i = 1; i <= count; i++) {
+            // Without explicit specs every server gets the configured capacity and a random weight
+            const spec = specs ? specs[i - 1] : {
+                capacity: this.config.serverCapacity,
+                weight: this.workloadRandom.next() * 0.5 + 0.75 // Random weight between 0.75-1.25
+            };
+            // Homogeneous servers are dealt across zones, and every server across its zone's racks
+            const zone = spec.zone || (this.config.zoneCount > 1 ? `zone-${String.fromCharCode(97 + (i - 1) % this.config.zoneCount)}` : 'default');
+            zoneMembers[zone] = (zoneMembers[zone] || 0) + 1;
+            const rack = spec.rack || `${zone}-rack-${(zoneMembers[zone] - 1) % this.config.racksPerZone + 1}`;
+            this.servers.push(this.createServer(i, spec, zone, rack));
+            this.weightedRoundRobinCounters.push(0);
+        }
+        this.servers.forEach(server => this.reportIdle(server));
+    }
+    
+    createServer(id, spec, zone, rack, healthStatus = 'healthy') {
+        return {
+            id,
+            currentLoad: 0,
+            capacity: spec.capacity,
+            weight: spec.weight ?? 1,
+            speed: spec.speed ?? 1,
+            baseSpeed: spec.speed ?? 1, // speed before any scripted degradation
+            zone,
+            rack,
+            maxConcurrent: spec.maxConcurrent ?? Math.max(1, Math.round(spec.capacity / this.config.workerSlotCapacity)),
+            hourlyCost: spec.hourlyCost ?? this.config.costModel.hourlyCost,
+            idlePower: spec.idlePower ?? this.config.costModel.idlePower,
+            peakPower: spec.peakPower ?? this.config.costModel.peakPower,
+            region: spec.region || this.config.network.balancerRegion,
+            fixedRtt: spec.rtt ?? null, // set per server; otherwise derived from the regions
+            rtt: spec.rtt ?? this.getRegionRtt(this.getBalancerRegion(spec.region || this.config.network.balancerRegion), spec.region || this.config.network.balancerRegion), // ms, balancer to server and back
+            bandwidth: spec.bandwidth ?? this.config.network.bandwidth, // Mbps
+            packetLoss: spec.packetLoss ?? 0,
+            service: spec.service || null, // the service pool it belongs to
+            inTransit: 0, // dispatched tasks still on the wire to this server
+            cost: 0, // $ accrued so far
+            energy: 0, // joules drawn so far
+            lastUsageUpdate: this.simulationTime,
+            healthStatus,
+            responseTimeHistory: [],
+            taskQueues: {
+                high: [],
+                medium: [],
+                low: []
+            },
+            processingTasks: [],
+            totalProcessed: 0,
+            uptime: 100,
+            lastHealthCheck: 0,
+            failureTime: null,
+            recoveryTime: null,
+            totalDowntime: 0,
+            pendingRecovery: null,
+            pendingFailure: null,
+            breaker: {
+                state: 'closed', // 'closed', 'open' (ejected) or 'halfOpen'
+                consecutiveErrors: 0,
+                errors: 0,
+                successes: 0,
+                ejections: 0,
+                openUntil: null
+            },
+            pendingHalfOpen: null,
+            pendingScaling: null, // boot completion or drain deadline
+            fairClock: 0, // weighted fair queuing: virtual time of the last task started
+            tenantFinish: {}, // weighted fair queuing: last finish tag per tenant
+            partitioned: false, // up, but unreachable from the balancer
+            probe: {
+                up: healthStatus !== 'booting', // the health checker's view, which lags the real healthStatus
+                successes: 0, // consecutive
+                failures: 0
+            },
+            inIdleQueue: false,
+            shareRate: 0, // processor sharing: work done per ms by each task in service
+            lastShareUpdate: 0,
+            creationTime: this.simulationTime
+        };
+    }
+    
+    // ---- Event scheduling -------------------------------------------------
+    
+    schedule(time, type, payload) {
+        return this.events.push(Math.max(time, this.simulationTime), type, payload);
+    }
+    
+    scheduleInitialEvents() {
+        if (this.hasPendingArrivals()) {
+            this.schedule(this.nextArrivalTime(), 'arrival');
+        }
+        this.schedule(this.sampleInterval, 'sample');
+        this.schedule(this.config.healthCheckInterval, 'healthCheck');
+        if (this.config.gslb.enabled && this.config.gslb.ttl > 0) {
+            this.schedule(this.config.gslb.ttl, 'gslbRefresh');
+        }
+        // Instances poll out of step with each other
+        const { refreshInterval } = this.config.balancers;
+        if (refreshInterval > 0) {
+            this.balancers.forEach((balancer, i) => {
+                this.schedule(refreshInterval * (i + 1) / this.balancers.length, 'balancerRefresh', { balancer });
+            });
+        }
+        this.servers.forEach(server => this.scheduleRandomFailure(server));
+        this.getZones().forEach(zone => this.scheduleGroupFailure('zone', zone));
+        [...new Set(this.servers.map(server => server.rack))].forEach(rack => this.scheduleGroupFailure('rack', rack));
+        if (this.config.scenario) {
+            this.config.scenario.events.forEach(event => this.schedule(event.time, 'scenario', { event }));
+        }
+    }
+    
+    scheduleRandomFailure(server) {
+        if (server.pendingFailure) {
+            server.pendingFailure.cancelled = true;
+            server.pendingFailure = null;
+        }
+        if (this.config.serverFailureRate <= 0) return;
+        
+        // Same hazard as the original per-health-update coin flip, expressed as an
+        // exponential time to failure: serverFailureRate * 3 per health update.
+        const meanTimeToFailure = this.healthUpdateInterval / (this.config.serverFailureRate * 3);
+        server.pendingFailure = this.schedule(this.simulationTime + this.failureRandom.exponential(meanTimeToFailure), 'failure', { server });
+    }
+    
+    // Process the next event. Returns false when there is nothing left to do.
+    step() {
+        if (this.finished) return false;
+        const event = this.events.pop();
+        if (!event) return false;
+        
+        this.simulationTime = event.time;
+        this.eventHandlers[event.type](event.payload);
+        this.checkCompletion();
+        return true;
+    }
+    
+    // Process every event up to and including the given virtual time.
+    runUntil(time) {
+        while (!this.finished) {
+            const next = this.events.peek();
+            if (!next || next.time > time) break;
+            this.step();
+        }
+        if (!this.finished) {
+            this.simulationTime = Math.max(this.simulationTime, time);
+        }
+        return this.finished;
+    }
+    
+    advance(duration) {
+        return this.runUntil(this.simulationTime + duration);
+    }
+    
+    // Run to completion (or until maxTime) as fast as possible.
+    run(maxTime = Infinity) {
+        while (!this.finished && this.simulationTime <= maxTime && this.step()) {
+            // keep draining the event queue
+        }
+        return this.summarize();
+    }
+    
+    // Health checks and metric samples reschedule forever, so a task that can
+    // never resolve would keep the run going; the drain limit ends it instead
+    checkCompletion() {
+        if (this.finished || this.hasPendingArrivals()) return;
+        const resolved = this.statusCounts.completed + this.statusCounts.failed + this.statusCounts.rejected;
+        if (resolved < this.getTaskTarget()) {
+            const limit = this.config.drainTimeLimit;
+            if (limit <= 0) return;
+            if (this.drainDeadline === null) {
+                this.drainDeadline = this.simulationTime + limit;
+                return;
+            }
+            if (this.simulationTime < this.drainDeadline) return;
+            this.failUnresolvedTasks(`still unresolved ${limit / 1000}s after the last arrival`);
+        }
+        
+        this.finished = true;
+        const metrics = this.handleSample(false);
+        this.logEvent('Simulation completed - all tasks processed');
+        this.emit('completed', metrics);
+    }
+    
+    // Empties every server and fails whatever has not completed, failed or been rejected
+    failUnresolvedTasks(reason) {
+        this.servers.forEach(server => {
+            this.accrueUsage(server);
+            Object.values(server.taskQueues).forEach(queue => queue.splice(0));
+            server.processingTasks.splice(0);
+            this.updateServerLoad(server);
+        });
+        this.tasks
+            .filter(task => !['completed', 'failed', 'rejected'].includes(task.status))
+            .forEach(task => this.failTask(task, reason));
+    }
+    
+    // ---- Traces -----------------------------------------------------------
+    
+    // Records come from TraceParser.parse(); replay them with arrivalModel 'trace'.
+    loadTrace(records, name = 'trace') {
+        this.trace = records;
+        this.config.traceName = name;
+    }
+    
+    clearTrace() {
+        this.trace = null;
+        this.config.traceName = null;
+        if (this.config.arrivalModel === 'trace') {
+            this.config.arrivalModel = 'constant';
+        }
+    }
+    
+    isReplayingTrace() {
+        return this.config.arrivalModel === 'trace' && this.trace !== null;
+    }
+    
+    // ---- Tasks ------------------------------------------------------------
+    
+    // A replayed trace fixes the number of tasks; otherwise the configured count
+    getTaskTarget() {
+        return this.isReplayingTrace() ? this.trace.length : this.config.taskCount;
+    }
+    
+    hasPendingArrivals() {
+        return this.currentTaskId - 1 < this.getTaskTarget();
+    }
+    
+    nextArrivalTime() {
+        if (this.isReplayingTrace()) {
+            return this.trace[this.currentTaskId - 1].time * this.config.traceTimeScale;
+        }
+        if (this.currentTaskId === 1 && this.config.arrivalModel === 'constant') {
+            return 0;
+        }
+        return this.arrivalProcess.nextArrivalTime(this.simulationTime);
+    }
+    
+    handleArrival() {
+        this.generateTask(this.isReplayingTrace() ? this.trace[this.currentTaskId - 1] : null);
+        if (this.hasPendingArrivals()) {
+            this.schedule(this.nextArrivalTime(), 'arrival');
+        } else {
+            this.logEvent('Task generation completed');
+        }
+    }
+    
+    // `record` (a trace row) pins any of key, serviceTime and priority; whatever
+    // it leaves out is drawn from the synthetic workload settings.
+    generateTask(record = null) {
+        // Determine priority based on distribution
+        let priority = record && record.priority;
+        
+        if (!priority) {
+            const rand = this.workloadRandom.next() * 100;
+            priority = 'low';
+            
+            if (rand < this.config.priorityDistribution.high) {
+                priority = 'high';
+            } else if (rand < this.config.priorityDistribution.high + this.config.priorityDistribution.medium) {
+                priority = 'medium';
+            }
+        }
+        
+        const graph = this.pickCallGraph();
+        const processingTime = record && record.serviceTime !== null
+            ? record.serviceTime
+            : graph ? this.sampleCallWork(graph.root, priority) : this.serviceTimes[priority].sample();
+        
+        const id = this.currentTaskId++;
+        const task = {
+            id: id,
+            key: record ? record.key || `task-${id}` : `session-${this.keyRandom.nextInt(1, this.config.sessionCount)}`,
+            tenant: record && record.tenant ? record.tenant : this.pickTenant(),
+            balancer: this.pickBalancer().id, // the instance that dispatches it
+            priority: priority,
+            arrivalTime: this.simulationTime,
+            processingTime: processingTime,
+            remainingTime: processingTime,
+            waitTime: null, // queueing delay before service started
+            serviceTime: null, // time actually spent in service
+            slaDeadline: this.simulationTime + this.taskPriorities[priority].slaTarget,
+            assignedServer: null,
+            zone: this.config.zoneAware.enabled ? this.zoneRandom.pick(this.getZones()) : null, // origin zone
+            region: this.config.network.enabled || this.config.gslb.enabled ? (record && record.region) || this.pickClientRegion() : null, // client region
+            routedRegion: null, // the region the global tier sent its latest attempt to
+            networkTime: 0, // ms on the wire, every attempt included
+            routingScope: 'fleet', // the zone it was routed within, else its region or the whole fleet
+            service: graph ? graph.root.service : null, // the service pool it runs on
+            callGraph: graph ? graph.name : null,
+            callNode: graph ? graph.root : null, // its node in the request template
+            caller: null, // the hop that called it, for a downstream call
+            request: null, // the request a downstream call belongs to
+            callIndex: 0, // next downstream call to make
+            pendingCalls: 0,
+            hopCount: 0, // downstream calls made on its behalf
+            depth: 0,
+            localDoneTime: null, // when its own work finished and its downstream calls began
+            downstreamTime: 0, // ms spent waiting on downstream calls
+            startTime: null,
+            dispatchTime: null, // when the current attempt reached its server
+            completionTime: null,
+            responseTime: null,
+            status: null,
+            failed: false,
+            rejected: false,
+            rejectionReason: null,
+            attempts: 0, // dispatches to a server, retries included
+            retries: 0,
+            completionEvent: null,
+            timeoutEvent: null,
+            deliveryEvent: null, // in flight from the balancer to its server
+            hedgeEvent: null,
+            copies: [], // live duplicates racing its current attempt
+            hedgeOf: null, // for a duplicate, the task it races for
+            hedges: 0, // duplicates or speculative retries issued for it
+            avoidServer: null // the server a backup attempt should steer clear of
+        };
+        
+        this.tasks.push(task);
+        this.setTaskStatus(task, 'pending');
+        this.emit('taskGenerated', task);
+        
+        const priorityClass = priority === 'high' ? 'high-priority' : '';
+        this.logEvent(`Task ${task.id} arrived (${priority} priority, ${task.tenant ? `tenant ${task.tenant}, ` : ''}${processingTime}ms processing time)`, priorityClass);
+        
+        if (task.tenant) {
+            this.getTenantStats(task.tenant).arrived++;
+            if (!this.admitTenantTask(task)) return task;
+        }
+        this.assignTask(task);
+        return task;
+    }
+    
+    // Downstream calls and duplicates are part of their request, not tasks in their own right
+    setTaskStatus(task, status) {
+        if (!task.caller && !task.hedgeOf) {
+            if (task.status) {
+                this.statusCounts[task.status]--;
+            }
+            this.statusCounts[status]++;
+        }
+        task.status = status;
+    }
+    
+    // Cancel the pending completion, timeout and delivery of a task leaving its server
+    releaseTask(task) {
+        if (task.deliveryEvent) {
+            const { server } = task.deliveryEvent.payload;
+            task.deliveryEvent.cancelled = true;
+            task.deliveryEvent = null;
+            server.inTransit--;
+            this.updateServerLoad(server);
+        }
+        if (task.completionEvent) {
+            task.completionEvent.cancelled = true;
+            task.completionEvent = null;
+        }
+        if (task.timeoutEvent) {
+            task.timeoutEvent.cancelled = true;
+            task.timeoutEvent = null;
+        }
+        if (task.hedgeEvent) {
+            task.hedgeEvent.cancelled = true;
+            task.hedgeEvent = null;
+        }
+    }
+    
+    failTask(task, reason) {
+        if (task.hedgeOf) {
+            this.dropCopy(task, reason);
+            return;
+        }
+        if (task.caller) {
+            this.failCall(task, reason);
+            return;
+        }
+        this.releaseTask(task);
+        this.cancelCopies(task);
+        task.failed = true;
+        task.completionTime = this.simulationTime;
+        this.setTaskStatus(task, 'failed');
+        this.failedTasks.push(task);
+        if (task.tenant) {
+            this.getTenantStats(task.tenant).failed++;
+        }
+        if (task.routedRegion) {
+            this.getRegionStats(task.routedRegion).failed++;
+        }
+        if (task.callNode) {
+            this.recordHop(task);
+            const graphStats = this.getCallGraphStats(task.callGraph);
+            graphStats.failed++;
+            graphStats.calls += task.hopCount;
+        }
+        this.emit('taskFailed', { task, reason });
+        this.logEvent(`Task ${task.id} failed - ${reason}`, 'server-failure');
+    }
+    
+    // Rejected tasks were never served: they are counted apart from failures.
+    // `kind` is 'admission', 'queueFull', 'shed', 'rateLimited' or 'quota'.
+    rejectTask(task, reason, kind) {
+        if (task.hedgeOf) {
+            this.dropCopy(task, reason);
+            return;
+        }
+        if (task.caller) {
+            this.failCall(task, reason);
+            return;
+        }
+        this.releaseTask(task);
+        this.cancelCopies(task);
+        task.rejected = true;
+        task.rejectionReason = kind;
+        task.completionTime = this.simulationTime;
+        this.setTaskStatus(task, 'rejected');
+        this.rejectedTasks.push(task);
+        this.rejectionCounts[kind]++;
+        if (task.tenant) {
+            this.getTenantStats(task.tenant).rejected++;
+        }
+        this.emit('taskRejected', { task, reason });
+        this.logEvent(`Task ${task.id} rejected - ${reason}`, 'server-overload');
+    }
+    
+    // With active health checks the balancer only knows what the probes told it;
+    // draining servers are deregistered from it directly
+    getAvailableServers() {
+        return this.config.healthChecks.enabled
+            ? this.servers.filter(server => server.probe.up && server.healthStatus !== 'draining')
+            : this.servers.filter(server => this.isServing(server));
+    }
+    
+    assignTask(task) {
+        let healthyServers = this.getAvailableServers();
+        
+        if (healthyServers.length === 0) {
+            this.retryOrFail(task, 'no healthy servers available');
+            return;
+        }
+        
+        let algorithm = this.config.algorithm;
+        task.routingScope = 'fleet';
+        if (this.config.gslb.enabled) {
+            // The global tier answers from its possibly stale view; a region
+            // whose pool has emptied since swallows the attempt. Downstream
+            // calls stay in the region their request was sent to.
+            const region = task.caller ? task.request.routedRegion : this.selectRegion(task);
+            task.routedRegion = region;
+            task.routingScope = `region:${region}`;
+            algorithm = this.getRegionAlgorithm(region);
+            if (!task.caller && !task.hedgeOf) {
+                this.getRegionStats(region).routed++;
+            }
+            healthyServers = healthyServers.filter(server => server.region === region);
+            if (healthyServers.length === 0) {
+                this.gslbStats.blackholed++;
+                this.retryOrFail(task, `region ${region} has no healthy servers`);
+                return;
+            }
+        }
+        
+        // Each service has its own pool behind its own balancer
+        if (task.service) {
+            healthyServers = healthyServers.filter(server => server.service === task.service);
+            task.routingScope = `${task.routingScope}/${task.service}`;
+            algorithm = this.getServiceAlgorithm(task.service) || algorithm;
+            if (healthyServers.length === 0) {
+                this.retryOrFail(task, `no healthy ${task.service} servers available`);
+                return;
+            }
+        }
+        
+        // A backup attempt goes to a different server than the one it backs up.
+        // Hashing algorithms pass over that server in the table built from every
+        // candidate, so a backup is not mistaken for a membership change.
+        if (task.avoidServer !== null) {
+            const others = healthyServers.filter(server => server.id !== task.avoidServer);
+            if (others.length === 0) {
+                if (task.hedgeOf) {
+                    this.retryOrFail(task, 'no other server to send the copy to');
+                    return;
+                }
+                task.avoidServer = null;
+            } else if (!['consistentHashing', 'boundedLoadHashing', 'maglev'].includes(algorithm)) {
+                healthyServers = others;
+            }
+        }
+        
+        if (this.config.outlierDetection.enabled) {
+            // Panic mode: with every candidate ejected the breakers are ignored
+            const eligible = healthyServers.filter(server => this.acceptsTraffic(server));
+            if (eligible.length > 0) {
+                healthyServers = eligible;
+            }
+        }
+        
+        if (!task.caller && !task.hedgeOf && !this.admitTask(task, healthyServers)) return;
+        
+        if (this.config.zoneAware.enabled && task.zone) {
+            healthyServers = this.zoneCandidates(task, healthyServers);
+        }
+        
+        const balancer = this.balancers[task.balancer - 1];
+        this.dispatcher = balancer;
+        let selectedServer = this.selectServerByAlgorithm(healthyServers, task, algorithm);
+        if (selectedServer) {
+            this.recordDecision(healthyServers, selectedServer);
+        }
+        this.dispatcher = null;
+        
+        if (!selectedServer) {
+            this.failTask(task, 'server selection failed');
+            return;
+        }
+        
+        if (!this.isServing(selectedServer)) {
+            this.healthCheckStats.misroutedTasks++;
+            this.recordServerOutcome(selectedServer, true, 'connection refused');
+            this.retryOrFail(task, `sent to Server ${selectedServer.id}, which is down`);
+            return;
+        }
+        
+        const { maxQueueLength } = this.config;
+        if (maxQueueLength > 0 && this.getOutstandingTasks(selectedServer) >= selectedServer.maxConcurrent + maxQueueLength) {
+            this.rejectTask(task, `Server ${selectedServer.id} queue full (${maxQueueLength} waiting)`, 'queueFull');
+            return;
+        }
+        
+        task.assignedServer = selectedServer.id;
+        task.dispatchTime = this.simulationTime;
+        this.recordOwnDispatch(balancer, selectedServer);
+        this.setTaskStatus(task, 'processing');
+        if (task.attempts++ === 0 && !task.hedgeOf) {
+            this.retryStats.dispatchedTasks++;
+        }
+        this.retryStats.attempts++;
+        
+        const timeout = this.config.requestTimeouts[task.priority];
+        if (timeout > 0) {
+            task.timeoutEvent = this.schedule(this.simulationTime + timeout, 'timeout', { server: selectedServer, task, timeout });
+        }
+        
+        // With the network modelled the task joins the queue once it has crossed
+        // the balancer-to-server hop; the server counts it from dispatch
+        if (this.config.network.enabled) {
+            const delay = selectedServer.rtt / 2 + this.getLossDelay(selectedServer);
+            task.networkTime += delay;
+            selectedServer.inTransit++;
+            this.updateServerLoad(selectedServer);
+            task.deliveryEvent = this.schedule(this.simulationTime + delay, 'delivery', { server: selectedServer, task });
+        } else {
+            this.enqueueTask(selectedServer, task);
+        }
+        
+        this.emit('taskAssigned', { task, server: selectedServer });
+        this.logEvent(`Task ${task.id} assigned to Server ${selectedServer.id} (${task.priority} priority)`, 'task-assigned');
+        
+        if (selectedServer.currentLoad > selectedServer.capacity * 0.9) {
+            this.logEvent(`Server ${selectedServer.id} is near capacity (${Math.round(selectedServer.currentLoad)}/${selectedServer.capacity})`, 'server-overload');
+        }
+        
+        this.processServerTasks(selectedServer);
+        if (!task.hedgeOf) {
+            this.scheduleHedge(task);
+        }
+    }
+    
+    // Add to appropriate priority queue
+    enqueueTask(server, task) {
+        if (this.config.queueDiscipline === 'weightedFair') {
+            this.tagFairShare(server, task);
+        }
+        server.taskQueues[task.priority].push(task);
+        this.updateServerLoad(server);
+    }
+    
+    selectServerByAlgorithm(healthyServers, task, algorithm = this.config.algorithm) {
+        switch (algorithm) {
+            case 'roundRobin':
+                return this.roundRobinSelection(healthyServers);
+            case 'leastLoad':
+                return this.leastLoadSelection(healthyServers);
+            case 'weightedRoundRobin':
+                return this.weightedRoundRobinSelection(healthyServers);
+            case 'shortestResponseTime':
+                return this.shortestResponseTimeSelection(healthyServers);
+            case 'randomized':
+                return this.randomizedSelection(healthyServers);
+            case 'consistentHashing':
+                return this.consistentHashingSelection(healthyServers, task);
+            case 'boundedLoadHashing':
+                return this.boundedLoadHashingSelection(healthyServers, task);
+            case 'maglev':
+                return this.maglevSelection(healthyServers, task);
+            case 'powerOfChoices':
+                return this.powerOfChoicesSelection(healthyServers);
+            case 'joinShortestQueue':
+                return this.joinShortestQueueSelection(healthyServers);
+            case 'joinIdleQueue':
+                return this.joinIdleQueueSelection(healthyServers, task);
+            default:
+                if (SimulationEngine.customAlgorithms[algorithm]) {
+                    return this.customSelection(SimulationEngine.customAlgorithms[algorithm], healthyServers, task);
+                }
+                return healthyServers[0];
+        }
+    }
+    
+    roundRobinSelection(servers) {
+        if (servers.length === 0) return null;
+        const server = servers[this.roundRobinCounter % servers.length];
+        this.roundRobinCounter = (this.roundRobinCounter + 1) % servers.length;
+        return server;
+    }
+    
+    leastLoadSelection(servers) {
+        return servers.reduce((min, server) =>
+            this.observe(server).load < this.observe(min).load ? server : min
+        );
+    }
+    
+    weightedRoundRobinSelection(servers) {
+        // Find server with highest weight-to-load ratio
+        let bestServer = servers[0];
+        let bestRatio = bestServer.weight / Math.max(this.observe(bestServer).load, 1);
+        
+        servers.forEach(server => {
+            const ratio = server.weight / Math.max(this.observe(server).load, 1);
+            if (ratio > bestRatio) {
+                bestRatio = ratio;
+                bestServer = server;
+            }
+        });
+        
+        return bestServer;
+    }
+    
+    shortestResponseTimeSelection(servers) {
+        let bestServer = servers[0];
+        let bestAvgResponseTime = this.getAverageResponseTime(bestServer);
+        
+        servers.forEach(server => {
+            const avgResponseTime = this.getAverageResponseTime(server);
+            if (avgResponseTime < bestAvgResponseTime) {
+                bestAvgResponseTime = avgResponseTime;
+                bestServer = server;
+            }
+        });
+        
+        return bestServer;
+    }
+    
+    randomizedSelection(servers) {
+        // Weighted random selection based on inverse load
+        const weights = servers.map(server =>
+            1 / Math.max(this.observe(server).load / server.capacity, 0.1)
+        );
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        
+        let random = this.random.next() * totalWeight;
+        for (let i = 0; i < servers.length; i++) {
+            random -= weights[i];
+            if (random <= 0) {
+                return servers[i];
+            }
+        }
+        
+        return servers[servers.length - 1];
+    }
+    
+    consistentHashingSelection(servers, task) {
+        return this.hashLookup(this.getHashTable(servers, task.routingScope, 'consistentHashing'), task);
+    }
+    
+    boundedLoadHashingSelection(servers, task) {
+        // Mirrokni, Thorup & Zadimoghaddam: no server may take more than
+        // ceil((1 + factor) * average) outstanding tasks, counting this one
+        const totalOutstanding = servers.reduce((sum, server) => sum + this.observe(server).outstanding, 0);
+        const bound = Math.ceil((1 + this.config.hashLoadFactor) * (totalOutstanding + 1) / servers.length);
+        for (const server of this.getHashTable(servers, task.routingScope, 'boundedLoadHashing').walk(this.hashKey(task.key))) {
+            if (server.id !== task.avoidServer && this.observe(server).outstanding < bound) {
+                return server;
+            }
+        }
+        return null;
+    }
+    
+    maglevSelection(servers, task) {
+        return this.hashLookup(this.getHashTable(servers, task.routingScope, 'maglev'), task);
+    }
+    
+    // A backup attempt takes the next server along the ring or table after the
+    // one it backs up
+    hashLookup(table, task) {
+        const hash = this.hashKey(task.key);
+        if (task.avoidServer !== null) {
+            for (const server of table.walk(hash)) {
+                if (server.id !== task.avoidServer) return server;
+            }
+        }
+        return table.lookup(hash);
+    }
+    
+    hashKey(key) {
+        let hash = this.keyHashes.get(key);
+        if (hash === undefined) {
+            hash = hashString(key);
+            this.keyHashes.set(key, hash);
+        }
+        return hash;
+    }
+    
+    // The ring (or Maglev table) is rebuilt whenever the set of healthy servers
+    // changes; every key seen so far is then re-resolved to count how many moved.
+    // Zone-aware routing keeps one table per zone (and the global tier one per
+    // region) so that switching between candidate sets does not count as a membership change
+    getHashTable(servers, scope = 'fleet', algorithm = this.config.algorithm) {
+        const signature = `${algorithm}:${servers.map(server => server.id).join(',')}`;
+        const current = this.hashTables[scope];
+        if (current && current.signature === signature) {
+            return current.table;
+        }
+        
+        const table = algorithm === 'maglev'
+            ? new MaglevTable(servers, this.config.maglevTableSize)
+            : new HashRing(servers, this.config.virtualNodes);
+        
+        if (current) {
+            let moved = 0;
+            this.keyHashes.forEach(hash => {
+                if (current.table.lookup(hash) !== table.lookup(hash)) moved++;
+            });
+            this.hashStats.remaps++;
+            this.hashStats.keysMoved += moved;
+            this.hashStats.lastKeysMoved = moved;
+            this.hashStats.lastKeyCount = this.keyHashes.size;
+            this.logEvent(`Hash ${algorithm === 'maglev' ? 'table' : 'ring'} rebuilt for ${servers.length} servers: ${moved} of ${this.keyHashes.size} keys moved`);
+        }
+        
+        this.hashTables[scope] = { signature, table };
+        return table;
+    }
+    
+    // ---- Network ------------------------------------------------------------
+    
+    // Fibre carries light at about 200 km/ms and real routes run about 1.5x
+    // the great-circle distance; unknown regions count as local
+    getRegionRtt(from, to) {
+        const a = this.networkRegions[from];
+        const b = this.networkRegions[to];
+        if (from === to || !a || !b) return 2;
+        const rad = Math.PI / 180;
+        const h = Math.sin((b.lat - a.lat) * rad / 2) ** 2 +
+            Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin((b.lon - a.lon) * rad / 2) ** 2;
+        const km = 2 * 6371 * Math.asin(Math.sqrt(h));
+        return Math.round(2 * km * 1.5 / 200 + 2);
+    }
+    
+    pickClientRegion() {
+        const { clientRegions, balancerRegion } = this.config.network;
+        if (!clientRegions) return balancerRegion;
+        const entries = Object.entries(clientRegions);
+        const total = entries.reduce((sum, [, share]) => sum + share, 0);
+        let draw = this.networkRandom.next() * total;
+        for (const [region, share] of entries) {
+            draw -= share;
+            if (draw < 0) return region;
+        }
+        return entries[entries.length - 1][0];
+    }
+    
+    // Each lost packet costs a retransmission timeout, doubled for every
+    // further loss in a row (at most five)
+    getLossDelay(server) {
+        let delay = 0;
+        for (let i = 0; i < 5 && server.packetLoss > 0 && this.networkRandom.next() < server.packetLoss; i++) {
+            delay += Math.max(this.config.network.minRto, 2 * server.rtt) * Math.pow(2, i);
+            this.networkStats.lostPackets++;
+        }
+        return delay;
+    }
+    
+    // The way back: server to balancer with the response body, then a full
+    // client round trip for the request's arrival at and answer from the balancer
+    getReturnDelay(server, task) {
+        const { responseSize } = this.config.network;
+        const hopDelay = server.rtt / 2 + responseSize * 8 / Math.max(server.bandwidth, 0.001) + this.getLossDelay(server);
+        // A downstream call answers its caller, not the client
+        if (task.caller) {
+            task.networkTime += hopDelay;
+            return hopDelay;
+        }
+        const delay = hopDelay + this.getRegionRtt(task.region, this.getBalancerRegion(server.region));
+        task.networkTime += delay;
+        
+        this.networkStats.networkSum += task.networkTime;
+        if (!this.networkStats.regions[task.region]) {
+            this.networkStats.regions[task.region] = { completed: 0, responseSum: 0, networkSum: 0 };
+        }
+        const regionStats = this.networkStats.regions[task.region];
+        regionStats.completed++;
+        regionStats.responseSum += task.completionTime - task.arrivalTime + delay;
+        regionStats.networkSum += task.networkTime;
+        return delay;
+    }
+    
+    // A task that reaches a server which died, was cut off or removed while
+    // it was on the wire is retried like any other connection failure
+    handleDelivery(server, task) {
+        task.deliveryEvent = null;
+        server.inTransit--;
+        const retired = !this.servers.includes(server);
+        if (retired || (!this.isServing(server) && server.healthStatus !== 'draining')) {
+            this.updateServerLoad(server);
+            if (!retired) {
+                this.recordServerOutcome(server, true, 'connection reset');
+            }
+            this.retryOrFail(task, `lost in transit to Server ${server.id}`);
+            return;
+        }
+        this.enqueueTask(server, task);
+        this.processServerTasks(server);
+    }
+    
+    describeNetwork(network) {
+        if (!network.enabled) return 'off';
+        const clients = network.clientRegions
+            ? Object.entries(network.clientRegions).map(([region, share]) => `${region} ${share}`).join(', ')
+            : network.balancerRegion;
+        return `balancer in ${network.balancerRegion}, clients from ${clients}, ${network.responseSize}KB responses`;
+    }
+    
+    // ---- Tenants ------------------------------------------------------------
+    
+    pickTenant() {
+        const tenants = this.config.tenants;
+        if (tenants.length === 0) return null;
+        const total = tenants.reduce((sum, tenant) => sum + tenant.share, 0);
+        let draw = this.tenantRandom.next() * total;
+        for (const tenant of tenants) {
+            draw -= tenant.share;
+            if (draw < 0) return tenant.name;
+        }
+        return tenants[tenants.length - 1].name;
+    }
+    
+    // Tenants seen only in a trace get weight 1 and no limits
+    getTenant(name) {
+        return this.config.tenants.find(tenant => tenant.name === name) ||
+            { name, share: 0, weight: 1, rateLimit: 0, burst: 0, maxInFlight: 0 };
+    }
+    
+    getTenantStats(name) {
+        if (!this.tenantStats[name]) {
+            this.tenantStats[name] = { arrived: 0, completed: 0, failed: 0, rejected: 0, rateLimited: 0, quotaRejected: 0, compliant: 0, responseSum: 0, sortedResponseTimes: [], unsortedResponseTimes: [] };
+        }
+        return this.tenantStats[name];
+    }
+    
+    // Per-tenant token bucket and in-flight quota, checked once per task on
+    // arrival; retries of an admitted task are not charged again
+    admitTenantTask(task) {
+        const tenant = this.getTenant(task.tenant);
+        const stats = this.getTenantStats(task.tenant);
+        
+        if (tenant.rateLimit > 0) {
+            const burst = tenant.burst > 0 ? tenant.burst : tenant.rateLimit;
+            let bucket = this.tenantBuckets[tenant.name];
+            if (!bucket) {
+                bucket = this.tenantBuckets[tenant.name] = { tokens: burst, updated: this.simulationTime };
+            }
+            bucket.tokens = Math.min(burst, bucket.tokens + (this.simulationTime - bucket.updated) / 1000 * tenant.rateLimit);
+            bucket.updated = this.simulationTime;
+            if (bucket.tokens < 1) {
+                stats.rateLimited++;
+                this.rejectTask(task, `tenant ${tenant.name} over its rate limit (${tenant.rateLimit}/s)`, 'rateLimited');
+                return false;
+            }
+            bucket.tokens--;
+        }
+        
+        // This task is already counted as arrived
+        const inFlight = stats.arrived - stats.completed - stats.failed - stats.rejected - 1;
+        if (tenant.maxInFlight > 0 && inFlight >= tenant.maxInFlight) {
+            stats.quotaRejected++;
+            this.rejectTask(task, `tenant ${tenant.name} at its quota of ${tenant.maxInFlight} tasks in flight`, 'quota');
+            return false;
+        }
+        return true;
+    }
+    
+    // Self-clocked fair queuing (Golestani): a task's finish tag is its
+    // tenant's previous tag, or the server's virtual clock if that is later,
+    // plus its processing time divided by the tenant's weight
+    tagFairShare(server, task) {
+        const flow = task.tenant || 'default';
+        const weight = task.tenant ? this.getTenant(task.tenant).weight : 1;
+        const start = Math.max(server.fairClock, server.tenantFinish[flow] || 0);
+        task.fairTag = start + task.processingTime / Math.max(weight, 0.001);
+        server.tenantFinish[flow] = task.fairTag;
+    }
+    
+    getTenantSummary() {
+        return Object.entries(this.tenantStats).map(([name, stats]) => {
+            const sorted = this.getSortedResponseTimes(stats);
+            return {
+                name,
+                arrived: stats.arrived,
+                completed: stats.completed,
+                failed: stats.failed,
+                rejected: stats.rejected,
+                rateLimited: stats.rateLimited,
+                quotaRejected: stats.quotaRejected,
+                avgResponseTime: stats.completed > 0 ? stats.responseSum / stats.completed : 0,
+                p95: this.getPercentile(sorted, 95),
+                slaCompliance: stats.completed > 0 ? (stats.compliant / stats.completed) * 100 : 100,
+                // Share of the tenant's offered tasks completed within their SLA
+                goodput: stats.arrived > 0 ? stats.compliant / stats.arrived : 1
+            };
+        });
+    }
+    
+    // Jain's index over each tenant's goodput: 1 when every tenant gets the
+    // same fraction of its demand served within SLA, 1/n when one tenant gets it all
+    calculateTenantFairness(summary = this.getTenantSummary()) {
+        const active = summary.filter(tenant => tenant.arrived > 0);
+        if (active.length === 0) return 1;
+        const sum = active.reduce((total, tenant) => total + tenant.goodput, 0);
+        const sumOfSquares = active.reduce((total, tenant) => total + tenant.goodput * tenant.goodput, 0);
+        return sumOfSquares > 0 ? (sum * sum) / (active.length * sumOfSquares) : 1;
+    }
+    
+    // ---- Cost and energy ----------------------------------------------------
+    
+    // Cost accrues for as long as a server is provisioned. Power scales linearly
+    // from idle to peak with the share of busy worker slots; a failed server draws none.
+    accrueUsage(server) {
+        const elapsed = this.simulationTime - server.lastUsageUpdate;
+        if (elapsed <= 0) return;
+        server.lastUsageUpdate = this.simulationTime;
+        server.cost += server.hourlyCost * elapsed / 3600000;
+        if (server.healthStatus !== 'failed') {
+            const busy = Math.min(1, server.processingTasks.length / server.maxConcurrent);
+            server.energy += (server.idlePower + (server.peakPower - server.idlePower) * busy) * elapsed / 1000;
+        }
+    }
+    
+    getCostSummary() {
+        const servers = [...this.servers, ...this.retiredServers];
+        const totalCost = servers.reduce((sum, server) => sum + server.cost, 0);
+        const totalEnergy = servers.reduce((sum, server) => sum + server.energy, 0);
+        const completed = this.completedTasks.length;
+        return {
+            totalCost,
+            costPer1000Tasks: completed > 0 ? (totalCost / completed) * 1000 : 0,
+            energyWh: totalEnergy / 3600,
+            energyPerTask: completed > 0 ? totalEnergy / completed : 0 // joules
+        };
+    }
+    
+    // ---- Autoscaling --------------------------------------------------------
+    
+    // Evaluated once per metrics sample; null when there is nothing to measure.
+    // Booting servers count towards the capacity the metric is measured against,
+    // so a scale-out that is still starting up does not trigger another one.
+    getScalingMetric() {
+        const { metric } = this.config.autoscaling;
+        const serving = this.servers.filter(server => this.isServing(server));
+        const booting = this.servers.filter(server => server.healthStatus === 'booting');
+        if (metric === 'p95') {
+            if (this.windowResponseTimes.length === 0) return null;
+            const window = [...this.windowResponseTimes].sort((a, b) => a - b);
+            return this.getPercentile(window, 95);
+        }
+        if (metric === 'queueDepth') {
+            const queued = serving.reduce((sum, server) => sum + this.getQueueSize(server), 0);
+            return queued / Math.max(1, serving.length + booting.length);
+        }
+        const slots = [...serving, ...booting].reduce((sum, server) => sum + server.maxConcurrent, 0);
+        const outstanding = serving.reduce((sum, server) => sum + this.getOutstandingTasks(server), 0);
+        return slots > 0 ? (outstanding / slots) * 100 : 0;
+    }
+    
+    evaluateAutoscaling() {
+        const policy = this.config.autoscaling;
+        const value = this.getScalingMetric();
+        this.windowResponseTimes = [];
+        if (value === null || this.simulationTime - this.lastScalingTime < policy.cooldown) return;
+        
+        const provisioned = this.servers.filter(server => server.healthStatus !== 'draining');
+        const units = { utilization: '%', queueDepth: ' queued per server', p95: 'ms p95' }[policy.metric];
+        const reading = `${policy.metric === 'queueDepth' ? value.toFixed(1) : Math.round(value)}${units}`;
+        if (value > policy.scaleOutThreshold && provisioned.length < policy.maxServers) {
+            this.scaleOut(`${reading} > ${policy.scaleOutThreshold}`);
+        } else if (value < policy.scaleInThreshold && provisioned.length > policy.minServers) {
+            this.scaleIn(`${reading} < ${policy.scaleInThreshold}`);
+        }
+    }
+    
+    // New servers copy the first server's spec and join the zone (and rack
+    // within it) with the fewest provisioned servers
+    scaleOut(reason) {
+        const template = this.servers[0] || this.retiredServers[0];
+        const provisioned = this.servers.filter(server => server.healthStatus !== 'draining');
+        const leastUsed = (names, key) => names.reduce((best, name) => {
+            const count = provisioned.filter(server => server[key] === name).length;
+            return !best || count < best.count ? { name, count } : best;
+        }, null).name;
+        const zone = leastUsed(this.getZones(), 'zone');
+        const racks = [...new Set(this.servers.filter(server => server.zone === zone).map(server => server.rack))];
+        const rack = leastUsed(racks.length > 0 ? racks : [`${zone}-rack-1`], 'rack');
+        
+        const id = Math.max(0, ...this.servers.map(server => server.id), ...this.retiredServers.map(server => server.id)) + 1;
+        const server = this.createServer(id, {
+            capacity: template.capacity,
+            speed: template.baseSpeed,
+            weight: template.weight,
+            maxConcurrent: template.maxConcurrent,
+            hourlyCost: template.hourlyCost,
+            idlePower: template.idlePower,
+            peakPower: template.peakPower,
+            region: template.region,
+            rtt: template.fixedRtt,
+            bandwidth: template.bandwidth,
+            packetLoss: template.packetLoss,
+            service: template.service
+        }, zone, rack, 'booting');
+        this.servers.push(server);
+        this.weightedRoundRobinCounters.push(0);
+        server.pendingScaling = this.schedule(this.simulationTime + this.config.autoscaling.bootTime, 'serverBooted', { server });
+        
+        this.recordScalingEvent('scaleOut', server, reason);
+        this.logEvent(`Autoscaler: scaling out (${reason}) - Server ${server.id} booting in ${zone}`, 'server-recovery');
+    }
+    
+    finishBoot(server) {
+        server.pendingScaling = null;
+        this.setServerHealth(server, 'healthy', `Server ${server.id} booted and taking traffic`, 'server-recovery');
+        this.scheduleRandomFailure(server);
+        this.reportIdle(server);
+    }
+    
+    // Scale in the newest healthy server: it stops taking tasks and is removed
+    // once its queue and workers are empty, or when the drain timeout expires
+    scaleIn(reason) {
+        const candidates = this.servers.filter(server => server.healthStatus === 'healthy' || server.healthStatus === 'degraded');
+        if (candidates.length === 0) return;
+        const server = candidates[candidates.length - 1];
+        
+        this.setServerHealth(server, 'draining', `Autoscaler: scaling in (${reason}) - draining Server ${server.id}`, 'server-overload');
+        if (server.pendingFailure) {
+            server.pendingFailure.cancelled = true;
+            server.pendingFailure = null;
+        }
+        this.recordScalingEvent('scaleIn', server, reason);
+        server.pendingScaling = this.schedule(this.simulationTime + this.config.autoscaling.drainTimeout, 'drainTimeout', { server });
+        this.checkDrained(server);
+    }
+    
+    checkDrained(server) {
+        if (server.healthStatus === 'draining' && this.getOutstandingTasks(server) === 0) {
+            this.retireServer(server, 'drained');
+        }
+    }
+    
+    retireServer(server, reason) {
+        const index = this.servers.indexOf(server);
+        if (index === -1) return;
+        if (server.pendingScaling) {
+            server.pendingScaling.cancelled = true;
+            server.pendingScaling = null;
+        }
+        // Anything still on the server after a drain timeout goes back to the balancer
+        this.evacuateServer(server, `Server ${server.id} removed before finishing`);
+        
+        this.updateUptime(server);
+        this.accrueUsage(server);
+        server.retiredTime = this.simulationTime;
+        this.servers.splice(index, 1);
+        this.weightedRoundRobinCounters.splice(index, 1);
+        this.retiredServers.push(server);
+        this.recordScalingEvent('removed', server, reason);
+        this.emit('fleetChanged', { server, removed: true });
+        this.logEvent(`Server ${server.id} removed from the fleet (${reason})`, 'server-overload');
+    }
+    
+    recordScalingEvent(action, server, reason) {
+        this.lastScalingTime = action === 'removed' ? this.lastScalingTime : this.simulationTime;
+        this.scalingEvents.push({ time: this.simulationTime, action, serverId: server.id, reason, serverCount: this.servers.length });
+        if (action === 'scaleOut') {
+            this.emit('fleetChanged', { server, removed: false });
+        }
+    }
+    
+    // ---- Zones --------------------------------------------------------------
+    
+    getZones() {
+        return [...new Set(this.servers.map(server => server.zone))];
+    }
+    
+    // Stay in the task's origin zone unless it has no available servers or is
+    // already at the spillover utilization, in which case use every zone
+    zoneCandidates(task, servers) {
+        const local = servers.filter(server => server.zone === task.zone);
+        if (local.length > 0 && this.getUtilization(local) < this.config.zoneAware.spilloverUtilization) {
+            task.routingScope = task.routingScope === 'fleet' ? task.zone : `${task.routingScope}/${task.zone}`;
+            this.zoneStats.local++;
+            return local;
+        }
+        this.zoneStats.spillover++;
+        return servers;
+    }
+    
+    // ---- Balancer instances -------------------------------------------------
+    
+    createBalancers() {
+        this.balancers = Array.from({ length: Math.max(1, Math.round(this.config.balancers.count)) }, (_, i) => ({
+            id: i + 1,
+            view: null, // server -> load as this instance last saw it; null while it sees live state
+            idleQueue: [], // join-idle-queue keeps one queue per instance
+            dispatches: 0
+        }));
+    }
+    
+    // Tasks reach the instances evenly at random, as behind DNS round robin or ECMP
+    pickBalancer() {
+        return this.balancers.length > 1 ? this.balancerRandom.pick(this.balancers) : this.balancers[0];
+    }
+    
+    snapshotServer(server) {
+        return {
+            load: server.currentLoad,
+            outstanding: this.getOutstandingTasks(server),
+            queueSize: this.getQueueSize(server),
+            processing: server.processingTasks.length,
+            responseTimes: server.responseTimeHistory.slice(-10)
+        };
+    }
+    
+    refreshBalancerView(balancer) {
+        balancer.view = new Map(this.servers.map(server => [server, this.snapshotServer(server)]));
+    }
+    
+    handleBalancerRefresh(balancer) {
+        this.refreshBalancerView(balancer);
+        this.balancerStats.refreshes++;
+        this.schedule(this.simulationTime + this.config.balancers.refreshInterval, 'balancerRefresh', { balancer });
+    }
+    
+    // What selection algorithms see of a server: its live state, or the dispatching
+    // instance's last poll, optionally adjusted for what that instance itself has
+    // sent and seen finish since. A server added after the poll looks idle.
+    observe(server) {
+        const view = this.dispatcher && this.dispatcher.view;
+        if (!view) return this.snapshotServer(server);
+        if (!view.has(server)) {
+            view.set(server, { load: 0, outstanding: 0, queueSize: 0, processing: 0, responseTimes: [] });
+        }
+        return view.get(server);
+    }
+    
+    recordOwnDispatch(balancer, server) {
+        balancer.dispatches++;
+        const seen = balancer.view && balancer.view.get(server);
+        if (!seen || !this.config.balancers.trackOwnTasks) return;
+        seen.outstanding++;
+        seen.load += server.capacity / server.maxConcurrent;
+        if (seen.processing < server.maxConcurrent) {
+            seen.processing++;
+        } else {
+            seen.queueSize++;
+        }
+    }
+    
+    recordOwnCompletion(balancer, server, responseTime) {
+        const seen = balancer.view && balancer.view.get(server);
+        if (!seen || !this.config.balancers.trackOwnTasks) return;
+        seen.outstanding = Math.max(0, seen.outstanding - 1);
+        seen.load = Math.max(0, seen.load - server.capacity / server.maxConcurrent);
+        if (seen.queueSize > 0) {
+            seen.queueSize--;
+        } else {
+            seen.processing = Math.max(0, seen.processing - 1);
+        }
+        seen.responseTimes.push(responseTime);
+        if (seen.responseTimes.length > 10) {
+            seen.responseTimes.shift();
+        }
+    }
+    
+    // Regret is how many more outstanding tasks the chosen server really had
+    // than the least loaded candidate; herding on a stale view drives it up.
+    // View error is how far off the instance's count for the chosen server was.
+    recordDecision(servers, selected) {
+        const actual = this.getOutstandingTasks(selected);
+        const least = servers.reduce((min, server) => Math.min(min, this.getOutstandingTasks(server)), Infinity);
+        this.balancerStats.decisions++;
+        this.balancerStats.regretSum += actual - least;
+        this.balancerStats.viewErrorSum += Math.abs(this.observe(selected).outstanding - actual);
+    }
+    
+    getBalancerSummary() {
+        const { decisions, regretSum, viewErrorSum, refreshes } = this.balancerStats;
+        return {
+            count: this.balancers.length,
+            refreshes,
+            loadRegret: decisions > 0 ? regretSum / decisions : 0,
+            viewError: decisions > 0 ? viewErrorSum / decisions : 0,
+            dispatches: this.balancers.map(balancer => balancer.dispatches)
+        };
+    }
+    
+    describeBalancers(balancers) {
+        const count = Math.max(1, Math.round(balancers.count));
+        if (balancers.refreshInterval <= 0) return `${count} instance${count === 1 ? '' : 's'}, live load`;
+        return `${count} instance${count === 1 ? '' : 's'}, load polled every ${balancers.refreshInterval / 1000}s${balancers.trackOwnTasks ? ' plus own tasks' : ''}`;
+    }
+    
+    // ---- Global load balancing ----------------------------------------------
+    
+    getRegions() {
+        return [...new Set(this.servers.map(server => server.region))];
+    }
+    
+    getRegionAlgorithm(region) {
+        return this.config.gslb.regionAlgorithms[region] || this.config.algorithm;
+    }
+    
+    // With the global tier every region has its own balancer next to its pool
+    getBalancerRegion(serverRegion) {
+        return this.config.gslb.enabled ? serverRegion : this.config.network.balancerRegion;
+    }
+    
+    getRegionStats(region) {
+        if (!this.gslbStats.regions[region]) {
+            this.gslbStats.regions[region] = { routed: 0, failedOver: 0, completed: 0, failed: 0, responseSum: 0, ewma: 0, outages: 0 };
+        }
+        return this.gslbStats.regions[region];
+    }
+    
+    // A region is up while enough of its pool passes its regional balancer's
+    // health view; servers still booting do not count against it
+    refreshGslbView() {
+        const available = this.getAvailableServers();
+        const { minHealthyFraction } = this.config.gslb;
+        this.getRegions().forEach(region => {
+            const pool = this.servers.filter(server => server.region === region && server.healthStatus !== 'booting');
+            const up = available.filter(server => server.region === region).length;
+            const healthy = up > 0 && up >= pool.length * minHealthyFraction;
+            const previous = this.gslbView[region];
+            this.gslbView[region] = healthy;
+            if (previous === undefined || previous === healthy) return;
+            if (!healthy) {
+                this.getRegionStats(region).outages++;
+            }
+            this.emit('regionHealthChanged', { region, healthy });
+            this.logEvent(healthy
+                ? `Global balancer marked region ${region} up`
+                : `Global balancer marked region ${region} down (${up} of ${pool.length} servers up)`, healthy ? 'server-recovery' : 'server-failure');
+        });
+    }
+    
+    handleGslbRefresh() {
+        this.refreshGslbView();
+        this.schedule(this.simulationTime + this.config.gslb.ttl, 'gslbRefresh');
+    }
+    
+    // The nearest region is preferred; a task sent elsewhere because the
+    // global tier has it marked down counts as a failover
+    selectRegion(task) {
+        const { policy, ttl } = this.config.gslb;
+        if (ttl <= 0) {
+            this.refreshGslbView();
+        }
+        const byDistance = this.getRegions().sort((a, b) => this.getRegionRtt(task.region, a) - this.getRegionRtt(task.region, b));
+        const up = byDistance.filter(region => this.gslbView[region] !== false);
+        // With every region marked down the answer is the nearest one anyway
+        if (up.length === 0) return byDistance[0];
+        
+        let region = up[0];
+        if (policy === 'weighted') {
+            const available = this.getAvailableServers();
+            const weights = up.map(candidate => available
+                .filter(server => server.region === candidate)
+                .reduce((sum, server) => sum + server.capacity, 0));
+            const total = weights.reduce((sum, weight) => sum + weight, 0);
+            let draw = this.gslbRandom.next() * total;
+            region = up.find((candidate, i) => (draw -= weights[i]) < 0) || up[up.length - 1];
+        } else if (policy === 'latency') {
+            const cost = candidate => this.getRegionRtt(task.region, candidate) + this.getRegionStats(candidate).ewma;
+            region = up.reduce((best, candidate) => cost(candidate) < cost(best) ? candidate : best);
+        }
+        
+        if (region !== byDistance[0] && this.gslbView[byDistance[0]] === false) {
+            this.gslbStats.failovers++;
+            this.getRegionStats(region).failedOver++;
+        }
+        return region;
+    }
+    
+    // Response time within the region, from the latest dispatch, smoothed for the latency policy
+    recordRegionCompletion(task) {
+        const stats = this.getRegionStats(task.routedRegion);
+        const latency = task.completionTime - task.dispatchTime;
+        stats.completed++;
+        stats.responseSum += task.responseTime;
+        stats.ewma = stats.completed === 1 ? latency : 0.8 * stats.ewma + 0.2 * latency;
+    }
+    
+    getGslbSummary() {
+        const available = this.getAvailableServers();
+        return {
+            failovers: this.gslbStats.failovers,
+            blackholed: this.gslbStats.blackholed,
+            regions: [...new Set([...this.getRegions(), ...Object.keys(this.gslbStats.regions)])].map(region => {
+                const stats = this.getRegionStats(region);
+                return {
+                    region,
+                    algorithm: this.getRegionAlgorithm(region),
+                    up: this.gslbView[region] !== false,
+                    servers: this.servers.filter(server => server.region === region).length,
+                    available: available.filter(server => server.region === region).length,
+                    routed: stats.routed,
+                    failedOver: stats.failedOver,
+                    completed: stats.completed,
+                    failed: stats.failed,
+                    outages: stats.outages,
+                    avgResponseTime: stats.completed > 0 ? stats.responseSum / stats.completed : 0
+                };
+            })
+        };
+    }
+    
+    describeGslb(gslb) {
+        if (!gslb.enabled) return 'off';
+        const policies = { geo: 'nearest region', weighted: 'weighted by capacity', latency: 'lowest latency' };
+        const overrides = Object.entries(gslb.regionAlgorithms).map(([region, algorithm]) => `${region} ${algorithm}`);
+        return `${policies[gslb.policy] || gslb.policy}, ${gslb.ttl > 0 ? `${gslb.ttl / 1000}s TTL` : 'no TTL'}` +
+            `${gslb.minHealthyFraction > 0 ? `, region down below ${Math.round(gslb.minHealthyFraction * 100)}% healthy` : ''}` +
+            `${overrides.length > 0 ? `, ${overrides.join(', ')}` : ''}`;
+    }
+    
+    // ---- Call graphs --------------------------------------------------------
+    
+    pickCallGraph() {
+        const graphs = this.config.callGraphs;
+        if (graphs.length === 0) return null;
+        const total = graphs.reduce((sum, graph) => sum + (graph.share ?? 1), 0);
+        let draw = this.callRandom.next() * total;
+        return graphs.find(graph => (draw -= graph.share ?? 1) < 0) || graphs[graphs.length - 1];
+    }
+    
+    sampleCallWork(node, priority) {
+        return node.work > 0
+            ? Math.max(1, Math.round(this.callRandom.exponential(node.work)))
+            : this.serviceTimes[priority].sample();
+    }
+    
+    getServiceAlgorithm(service) {
+        const definition = this.config.services.find(entry => entry.name === service);
+        return definition ? definition.algorithm : null;
+    }
+    
+    getServiceStats(service) {
+        if (!this.serviceStats[service]) {
+            this.serviceStats[service] = {
+                completed: 0,
+                failed: 0,
+                latencySum: 0,
+                waitSum: 0,
+                localSum: 0,
+                downstreamSum: 0,
+                sortedResponseTimes: [],
+                unsortedResponseTimes: []
+            };
+        }
+        return this.serviceStats[service];
+    }
+    
+    getCallGraphStats(name) {
+        if (!this.callGraphStats[name]) {
+            this.callGraphStats[name] = { completed: 0, failed: 0, calls: 0, responseSum: 0 };
+        }
+        return this.callGraphStats[name];
+    }
+    
+    findServer(id) {
+        return this.servers.find(server => server.id === id) || this.retiredServers.find(server => server.id === id);
+    }
+    
+    hasPendingCalls(task) {
+        return task.localDoneTime === null && Boolean(task.callNode && task.callNode.calls && task.callNode.calls.length > 0);
+    }
+    
+    // Its own work is done: the slot goes to the next task while it waits on its calls.
+    // The attempt's timeout stays armed until they return.
+    startCalls(server, task) {
+        task.localDoneTime = this.simulationTime;
+        const timeout = this.config.requestTimeouts[task.priority];
+        if (timeout > 0) {
+            task.timeoutEvent = this.schedule(task.dispatchTime + timeout, 'timeout', { server, task, timeout });
+        }
+        task.serviceTime = task.localDoneTime - task.startTime;
+        this.recordOwnCompletion(this.balancers[task.balancer - 1], server, task.localDoneTime - task.arrivalTime);
+        this.leaveServer(server, task, task.localDoneTime - task.arrivalTime);
+        if (!(task.request || task).failed) {
+            this.issueCalls(task);
+        }
+        this.processServerTasks(server);
+        this.checkDrained(server);
+    }
+    
+    // Sequential calls go out one at a time, parallel ones all at once
+    issueCalls(task) {
+        const request = task.request || task;
+        const { calls, mode } = task.callNode;
+        const count = mode === 'parallel' ? calls.length - task.callIndex : 1;
+        const nodes = calls.slice(task.callIndex, task.callIndex + count);
+        task.callIndex += count;
+        task.pendingCalls += count;
+        for (const node of nodes) {
+            if (request.failed) break;
+            this.callService(task, node);
+        }
+    }
+    
+    // A downstream call is dispatched like a task, by its request's balancer
+    // instance to the callee's pool, but is not counted as a task of the run
+    callService(caller, node) {
+        const request = caller.request || caller;
+        const processingTime = this.sampleCallWork(node, caller.priority);
+        const hop = {
+            id: `${request.id}.${++request.hopCount}`,
+            key: caller.key,
+            tenant: caller.tenant,
+            balancer: caller.balancer,
+            priority: caller.priority,
+            arrivalTime: this.simulationTime,
+            processingTime: processingTime,
+            remainingTime: processingTime,
+            waitTime: null,
+            serviceTime: null,
+            slaDeadline: caller.slaDeadline,
+            assignedServer: null,
+            zone: caller.zone,
+            region: caller.region,
+            routedRegion: null,
+            networkTime: 0,
+            routingScope: 'fleet',
+            service: node.service,
+            callGraph: request.callGraph,
+            callNode: node,
+            caller: caller,
+            request: request,
+            callIndex: 0,
+            pendingCalls: 0,
+            hopCount: 0,
+            depth: caller.depth + 1,
+            localDoneTime: null,
+            downstreamTime: 0,
+            startTime: null,
+            dispatchTime: null,
+            completionTime: null,
+            responseTime: null,
+            status: null,
+            failed: false,
+            rejected: false,
+            rejectionReason: null,
+            attempts: 0,
+            retries: 0,
+            completionEvent: null,
+            timeoutEvent: null,
+            deliveryEvent: null,
+            hedgeEvent: null,
+            copies: [],
+            hedgeOf: null,
+            hedges: 0,
+            avoidServer: null
+        };
+        this.setTaskStatus(hop, 'pending');
+        this.assignTask(hop);
+    }
+    
+    // The caller moves on to its next call, or answers once none are left
+    returnCall(hop) {
+        const { caller, request } = hop;
+        if (request.failed) return;
+        caller.pendingCalls--;
+        if (caller.callIndex < caller.callNode.calls.length) {
+            this.issueCalls(caller);
+        } else if (caller.pendingCalls === 0) {
+            this.completeTask(this.findServer(caller.assignedServer), caller);
+        }
+    }
+    
+    // One failed call fails its whole request; calls still in flight run to
+    // completion but their answers are dropped
+    failCall(hop, reason) {
+        this.releaseTask(hop);
+        this.cancelCopies(hop);
+        hop.failed = true;
+        hop.completionTime = this.simulationTime;
+        this.setTaskStatus(hop, 'failed');
+        this.recordHop(hop);
+        if (!hop.request.failed) {
+            this.failTask(hop.request, `call ${hop.id} to ${hop.service} failed: ${reason}`);
+        }
+    }
+    
+    recordHop(task) {
+        const stats = this.getServiceStats(task.service);
+        const latency = task.failed ? task.completionTime - task.arrivalTime : task.responseTime;
+        if (task.failed) {
+            stats.failed++;
+        } else {
+            stats.completed++;
+            stats.latencySum += latency;
+            stats.waitSum += task.waitTime;
+            stats.localSum += task.serviceTime;
+            stats.downstreamSum += task.downstreamTime;
+            stats.unsortedResponseTimes.push(latency);
+        }
+        this.hopRecords.push({
+            requestId: (task.request || task).id,
+            hop: task.id,
+            service: task.service,
+            caller: task.caller ? task.caller.service : null,
+            depth: task.depth,
+            server: task.assignedServer,
+            calledAt: task.arrivalTime,
+            latency: latency,
+            waitTime: task.waitTime,
+            serviceTime: task.serviceTime,
+            downstreamTime: task.downstreamTime,
+            attempts: task.attempts,
+            failed: task.failed
+        });
+    }
+    
+    getServiceSummary() {
+        const names = [...new Set([...this.config.services.map(service => service.name), ...Object.keys(this.serviceStats)])];
+        return names.map(service => {
+            const stats = this.getServiceStats(service);
+            const sorted = this.getSortedResponseTimes(stats);
+            const average = sum => stats.completed > 0 ? sum / stats.completed : 0;
+            return {
+                service,
+                algorithm: this.getServiceAlgorithm(service) || this.config.algorithm,
+                servers: this.servers.filter(server => server.service === service).length,
+                completed: stats.completed,
+                failed: stats.failed,
+                avgLatency: average(stats.latencySum),
+                p95Latency: this.getPercentile(sorted, 95),
+                avgWaitTime: average(stats.waitSum),
+                avgServiceTime: average(stats.localSum),
+                avgDownstreamTime: average(stats.downstreamSum)
+            };
+        });
+    }
+    
+    getCallGraphSummary() {
+        return this.config.callGraphs.map(graph => {
+            const stats = this.getCallGraphStats(graph.name);
+            const finished = stats.completed + stats.failed;
+            return {
+                name: graph.name,
+                share: graph.share ?? 1,
+                path: this.describeCallNode(graph.root),
+                completed: stats.completed,
+                failed: stats.failed,
+                callsPerRequest: finished > 0 ? stats.calls / finished : 0,
+                avgResponseTime: stats.completed > 0 ? stats.responseSum / stats.completed : 0
+            };
+        });
+    }
+    
+    // e.g. gateway(auth -> catalog(pricing | inventory))
+    describeCallNode(node) {
+        const calls = node.calls || [];
+        if (calls.length === 0) return node.service;
+        return `${node.service}(${calls.map(call => this.describeCallNode(call)).join(node.mode === 'parallel' ? ' | ' : ' -> ')})`;
+    }
+    
+    describeCallGraphs(graphs) {
+        if (graphs.length === 0) return 'off';
+        return graphs.map(graph => `${graph.name} ${this.describeCallNode(graph.root)}`).join('; ');
+    }
+    
+    // ---- Admission control ------------------------------------------------
+    
+    // Outstanding tasks per worker slot across the servers that can take work
+    getUtilization(servers) {
+        const slots = servers.reduce((sum, server) => sum + server.maxConcurrent, 0);
+        const outstanding = servers.reduce((sum, server) => sum + this.getOutstandingTasks(server), 0);
+        return slots > 0 ? outstanding / slots : 0;
+    }
+    
+    // Above the threshold, tasks of the sheddable classes are turned away; in
+    // 'shed' mode queued tasks of those classes are dropped too (newest and
+    // lowest priority first) until utilization is back under the threshold.
+    admitTask(task, servers) {
+        const { mode, utilizationThreshold, priorities } = this.config.admissionControl;
+        if (mode === 'off') return true;
+        
+        const utilization = this.getUtilization(servers);
+        if (utilization < utilizationThreshold) return true;
+        
+        if (priorities.includes(task.priority)) {
+            this.rejectTask(task, `admission control (utilization ${Math.round(utilization * 100)}%)`, 'admission');
+            return false;
+        }
+        
+        if (mode === 'shed') {
+            this.shedQueuedTasks(servers, utilizationThreshold);
+        }
+        return true;
+    }
+    
+    shedQueuedTasks(servers, utilizationThreshold) {
+        const order = ['low', 'medium', 'high'].filter(p => this.config.admissionControl.priorities.includes(p));
+        for (const priority of order) {
+            const candidates = [];
+            servers.forEach(server => {
+                server.taskQueues[priority].forEach(task => candidates.push({ server, task }));
+            });
+            candidates.sort((a, b) => b.task.arrivalTime - a.task.arrivalTime);
+            
+            for (const { server, task } of candidates) {
+                if (this.getUtilization(servers) < utilizationThreshold) return;
+                const queue = server.taskQueues[priority];
+                queue.splice(queue.indexOf(task), 1);
+                this.updateServerLoad(server);
+                this.rejectTask(task, `shed from Server ${server.id} queue`, 'shed');
+            }
+        }
+    }
+    
+    // Errors thrown by a custom algorithm fail the task instead of the simulation
+    customSelection(definition, servers, task) {
+        if (!this.customAlgorithmState) {
+            this.customAlgorithmState = {};
+        }
+        try {
+            const selected = definition.select(servers, task, this.createAlgorithmContext(this.customAlgorithmState));
+            if (servers.includes(selected)) {
+                return selected;
+            }
+            this.logEvent(`${definition.name} returned an unavailable server for Task ${task.id}`, 'server-failure');
+        } catch (error) {
+            this.logEvent(`${definition.name} threw for Task ${task.id}: ${error instanceof Error ? error.message : error}`, 'server-failure');
+        }
+        return null;
+    }
+    
+    // What custom algorithms may read, plus a `state` object kept for the whole run
+    createAlgorithmContext(state) {
+        return {
+            time: this.simulationTime,
+            random: () => this.random.next(),
+            state,
+            allServers: this.servers,
+            config: this.config,
+            queueSize: server => this.observe(server).queueSize,
+            outstanding: server => this.observe(server).outstanding,
+            averageResponseTime: server => this.getAverageResponseTime(server),
+            hash: key => this.hashKey(String(key))
+        };
+    }
+    
+    powerOfChoicesSelection(servers) {
+        // Partial Fisher-Yates shuffle draws d distinct candidates
+        const candidates = servers.slice();
+        const d = Math.min(Math.max(1, this.config.powerOfChoicesD), candidates.length);
+        let bestServer = null;
+        for (let i = 0; i < d; i++) {
+            const j = i + Math.floor(this.random.next() * (candidates.length - i));
+            [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+            if (!bestServer || this.observe(candidates[i]).outstanding < this.observe(bestServer).outstanding) {
+                bestServer = candidates[i];
+            }
+        }
+        return bestServer;
+    }
+    
+    joinShortestQueueSelection(servers) {
+        return servers.reduce((best, server) => {
+            const queueDiff = this.observe(server).queueSize - this.observe(best).queueSize;
+            if (queueDiff !== 0) return queueDiff < 0 ? server : best;
+            return this.observe(server).processing < this.observe(best).processing ? server : best;
+        });
+    }
+    
+    joinIdleQueueSelection(servers, task) {
+        // Entries go stale when a server fails or fills up after reporting; skip those.
+        // Servers of other services stay queued for their own service's tasks.
+        const { idleQueue } = this.dispatcher;
+        for (let i = 0; i < idleQueue.length;) {
+            const server = idleQueue[i];
+            if (task.service && server.service !== task.service) {
+                i++;
+                continue;
+            }
+            idleQueue.splice(i, 1);
+            server.inIdleQueue = false;
+            if (servers.includes(server) && this.hasFreeWorker(server)) {
+                return server;
+            }
+        }
+        return this.random.pick(servers);
+    }
+    
+    hasFreeWorker(server) {
+        return server.processingTasks.length < server.maxConcurrent && this.getQueueSize(server) === 0;
+    }
+    
+    // Join-idle-queue bookkeeping: a server enqueues itself once when it has a
+    // free worker, with one balancer instance picked at random
+    reportIdle(server) {
+        if (!server.inIdleQueue && server.healthStatus !== 'failed' && server.healthStatus !== 'draining' && this.hasFreeWorker(server)) {
+            server.inIdleQueue = true;
+            this.pickBalancer().idleQueue.push(server);
+        }
+    }
+    
+    getOutstandingTasks(server) {
+        return this.getQueueSize(server) + server.processingTasks.length + server.inTransit;
+    }
+    
+    getAverageResponseTime(server) {
+        const recent = this.observe(server).responseTimes; // Last 10 responses
+        if (recent.length === 0) return 1000; // Default for new servers
+        return recent.reduce((sum, time) => sum + time, 0) / recent.length;
+    }
+    
+    // Fill free worker slots from the priority queues (high -> medium -> low)
+    // and schedule a completion event for every task that starts service.
+    // Each server has maxConcurrent worker slots. Under 'priority' and 'fifo' a
+    // free slot takes the next queued task and serves it at the server's speed;
+    // under 'processorSharing' every task is in service at once and the slots'
+    // combined speed is split evenly between them.
+    processServerTasks(server) {
+        if (server.healthStatus === 'failed') return;
+        
+        if (this.config.queueDiscipline === 'processorSharing') {
+            this.shareProcessor(server);
+        } else {
+            while (server.processingTasks.length < server.maxConcurrent) {
+                const task = this.nextQueuedTask(server);
+                if (!task) break;
+                
+                this.startService(server, task);
+                task.completionEvent = this.schedule(this.simulationTime + task.remainingTime / server.speed, 'completion', { server, task });
+            }
+        }
+        this.reportIdle(server);
+    }
+    
+    nextQueuedTask(server) {
+        const priorities = ['high', 'medium', 'low'];
+        if (this.config.queueDiscipline === 'weightedFair') {
+            // Smallest finish tag across every queue; priority only breaks ties
+            let next = null;
+            priorities.forEach(priority => {
+                server.taskQueues[priority].forEach(task => {
+                    if (!next || task.fairTag < next.fairTag) next = task;
+                });
+            });
+            if (next) {
+                const queue = server.taskQueues[next.priority];
+                queue.splice(queue.indexOf(next), 1);
+                server.fairClock = next.fairTag;
+            }
+            return next;
+        }
+        if (this.config.queueDiscipline === 'fifo') {
+            // Oldest arrival across all queues (aging may reorder within a queue)
+            let oldest = null;
+            priorities.forEach(priority => {
+                server.taskQueues[priority].forEach(task => {
+                    if (!oldest || task.arrivalTime < oldest.arrivalTime) oldest = task;
+                });
+            });
+            if (oldest) {
+                const queue = server.taskQueues[oldest.priority];
+                queue.splice(queue.indexOf(oldest), 1);
+            }
+            return oldest;
+        }
+        
+        const priority = priorities.find(p => server.taskQueues[p].length > 0);
+        return priority ? server.taskQueues[priority].shift() : null;
+    }
+    
+    startService(server, task) {
+        this.accrueUsage(server);
+        task.startTime = this.simulationTime;
+        task.waitTime = task.startTime - task.arrivalTime;
+        server.processingTasks.push(task);
+        if (this.config.hedging.strategy === 'tied' && (task.hedgeOf || task.copies.length > 0)) {
+            this.breakTie(task);
+        }
+    }
+    
+    // Processor sharing: charge the work done since the last change at the old
+    // per-task rate, admit everything queued, then reschedule every completion
+    // at the new rate.
+    shareProcessor(server) {
+        const elapsed = this.simulationTime - server.lastShareUpdate;
+        server.processingTasks.forEach(task => {
+            task.remainingTime = Math.max(0, task.remainingTime - elapsed * server.shareRate);
+        });
+        
+        let task;
+        while ((task = this.nextQueuedTask(server))) {
+            this.startService(server, task);
+        }
+        
+        const count = server.processingTasks.length;
+        server.shareRate = count > 0 ? server.speed * Math.min(1, server.maxConcurrent / count) : 0;
+        server.lastShareUpdate = this.simulationTime;
+        server.processingTasks.forEach(task => {
+            if (task.completionEvent) {
+                task.completionEvent.cancelled = true;
+            }
+            task.completionEvent = this.schedule(this.simulationTime + task.remainingTime / server.shareRate, 'completion', { server, task });
+        });
+    }
+    
+    // Load in capacity units: every outstanding task occupies one worker slot's
+    // share of the capacity, so load above capacity means tasks are queueing
+    updateServerLoad(server) {
+        server.currentLoad = this.getOutstandingTasks(server) * server.capacity / server.maxConcurrent;
+    }
+    
+    // A call-graph hop with downstream calls frees its worker slot when its own
+    // work is done and comes back here once every call has returned
+    completeTask(server, task) {
+        task.completionEvent = null;
+        this.releaseTask(task);
+        task.remainingTime = 0;
+        if (task.hedgeOf) {
+            this.finishCopy(server, task);
+            return;
+        }
+        this.cancelCopies(task);
+        if (this.hasPendingCalls(task)) {
+            this.startCalls(server, task);
+            return;
+        }
+        const returning = task.localDoneTime !== null;
+        task.completionTime = this.simulationTime;
+        task.responseTime = task.completionTime - task.arrivalTime;
+        let returnDelay = 0;
+        if (this.config.network.enabled) {
+            returnDelay = this.getReturnDelay(server, task);
+            task.responseTime += returnDelay;
+        }
+        if (task.routedRegion && !task.caller) {
+            this.recordRegionCompletion(task);
+        }
+        if (returning) {
+            task.downstreamTime = task.completionTime - task.localDoneTime;
+        } else {
+            this.recordOwnCompletion(this.balancers[task.balancer - 1], server, task.responseTime);
+            task.serviceTime = task.completionTime - task.startTime;
+        }
+        this.setTaskStatus(task, 'completed');
+        
+        // A task back from its downstream calls left its server when they began
+        if (!returning) {
+            this.leaveServer(server, task, task.responseTime);
+        }
+        
+        if (task.callNode) {
+            this.recordHop(task);
+        }
+        if (task.caller) {
+            // The response crosses the network before the caller sees it
+            if (returnDelay > 0) {
+                this.schedule(this.simulationTime + returnDelay, 'callReturn', { hop: task });
+            } else {
+                this.returnCall(task);
+            }
+        } else {
+            this.recordResponseTime(task);
+            
+            // Check SLA compliance
+            const slaViolation = task.responseTime > this.taskPriorities[task.priority].slaTarget;
+            if (slaViolation) {
+                this.logEvent(`Task ${task.id} SLA violation (${task.responseTime}ms > ${this.taskPriorities[task.priority].slaTarget}ms)`, 'sla-violation');
+            }
+            
+            if (task.callGraph) {
+                const graphStats = this.getCallGraphStats(task.callGraph);
+                graphStats.completed++;
+                graphStats.calls += task.hopCount;
+                graphStats.responseSum += task.responseTime;
+            }
+            this.completedTasks.push(task);
+            this.emit('taskCompleted', { task, server });
+            this.logEvent(`Task ${task.id} completed on Server ${server.id} (${task.responseTime}ms response time)`, 'task-completed');
+        }
+        
+        if (!returning) {
+            this.processServerTasks(server);
+            this.checkDrained(server);
+        }
+    }
+    
+    // Frees the task's worker slot once its own work is done
+    leaveServer(server, task, responseTime) {
+        server.totalProcessed++;
+        this.hedgeStats.servedWork += this.simulationTime - task.startTime;
+        
+        // Update response time history
+        server.responseTimeHistory.push(responseTime);
+        if (server.responseTimeHistory.length > 20) {
+            server.responseTimeHistory.shift();
+        }
+        
+        // Remove from processing tasks
+        this.accrueUsage(server);
+        const processingIndex = server.processingTasks.indexOf(task);
+        if (processingIndex !== -1) {
+            server.processingTasks.splice(processingIndex, 1);
+        }
+        this.updateServerLoad(server);
+        
+        const { latencyThreshold } = this.config.outlierDetection;
+        const slow = latencyThreshold > 0 && this.simulationTime - task.dispatchTime > latencyThreshold;
+        this.recordServerOutcome(server, slow, 'slow response');
+    }
+    
+    // ---- Retries ----------------------------------------------------------
+    
+    // Tasks lost to a server failure or a timeout go back through
+    // selectServerByAlgorithm after an exponential backoff, until the retry
+    // budget runs out. Each retry starts the task's work from scratch.
+    retryOrFail(task, reason) {
+        if (task.hedgeOf) {
+            this.dropCopy(task, reason);
+            return;
+        }
+        // A live copy carries on in place of the lost attempt
+        if (task.copies.length > 0) {
+            this.releaseTask(task);
+            task.assignedServer = null;
+            return;
+        }
+        const { maxRetries } = this.config.retryPolicy;
+        if (task.retries >= maxRetries) {
+            this.failTask(task, reason);
+            return;
+        }
+        
+        this.releaseTask(task);
+        task.retries++;
+        task.assignedServer = null;
+        task.remainingTime = task.processingTime;
+        task.startTime = null;
+        task.waitTime = null;
+        this.setTaskStatus(task, 'pending');
+        this.retryStats.retries++;
+        
+        const delay = this.getRetryBackoff(task.retries);
+        this.schedule(this.simulationTime + delay, 'retry', { task });
+        this.emit('taskRetried', { task, reason, delay });
+        this.logEvent(`Task ${task.id} ${reason} - retry ${task.retries}/${maxRetries} in ${Math.round(delay)}ms`, 'server-overload');
+    }
+    
+    getRetryBackoff(retry) {
+        const { backoffBase, backoffMax, jitter } = this.config.retryPolicy;
+        const backoff = Math.min(backoffMax, backoffBase * Math.pow(2, retry - 1));
+        switch (jitter) {
+            case 'full':
+                return this.retryRandom.next() * backoff;
+            case 'equal':
+                return backoff / 2 + this.retryRandom.next() * backoff / 2;
+            default:
+                return backoff;
+        }
+    }
+    
+    // The attempt is abandoned: its work so far is lost and the slot is freed
+    handleTimeout(server, task, timeout) {
+        task.timeoutEvent = null;
+        
+        // Out of time while waiting on downstream calls: the server has already
+        // let it go, and a retry would repeat every call, so the request fails
+        if (task.localDoneTime !== null) {
+            if (!(task.request || task).failed) {
+                this.retryStats.timeouts++;
+                this.failTask(task, `timed out after ${timeout}ms waiting on downstream calls`);
+            }
+            return;
+        }
+        
+        const queue = server.taskQueues[task.priority];
+        if (server.processingTasks.includes(task)) {
+            this.accrueUsage(server);
+            server.processingTasks.splice(server.processingTasks.indexOf(task), 1);
+        } else if (queue.includes(task)) {
+            queue.splice(queue.indexOf(task), 1);
+        }
+        this.updateServerLoad(server);
+        this.recordServerOutcome(server, true, 'timeout');
+        
+        // A call whose request has already failed is dropped, not retried
+        if ((task.request || task).failed) {
+            this.failTask(task, `timed out on Server ${server.id} after ${timeout}ms`);
+        } else {
+            this.retryStats.timeouts++;
+            this.retryOrFail(task, `timed out on Server ${server.id} after ${timeout}ms`);
+        }
+        this.processServerTasks(server);
+        this.checkDrained(server);
+    }
+    
+    ageTasks() {
+        // Increase priority of queued tasks that have been waiting too long
+        this.servers.forEach(server => {
+            ['medium', 'low'].forEach(priority => {
+                const promoted = priority === 'low' ? 'medium' : 'high';
+                server.taskQueues[priority] = server.taskQueues[priority].filter(task => {
+                    const slaTimeRemaining = task.slaDeadline - this.simulationTime;
+                    
+                    // If task is approaching SLA deadline, increase priority
+                    if (slaTimeRemaining < this.taskPriorities[task.priority].slaTarget * 0.3) {
+                        task.priority = promoted;
+                        server.taskQueues[promoted].push(task);
+                        return false;
+                    }
+                    return true;
+                });
+            });
+        });
+    }
+    
+    // ---- Tail mitigation --------------------------------------------------
+    
+    // The percentile of recent response times of the task's own service, or
+    // of the whole run; null until enough responses have been seen
+    getHedgeDelay(task) {
+        const { percentile, minSamples } = this.config.hedging;
+        const sorted = this.getSortedResponseTimes(task.service ? this.getServiceStats(task.service) : this);
+        if (sorted.length < Math.max(1, minSamples)) return null;
+        return this.getPercentile(sorted, percentile);
+    }
+    
+    hasOtherServer(task) {
+        return this.getAvailableServers().some(server =>
+            server.id !== task.assignedServer && (!task.service || server.service === task.service));
+    }
+    
+    // Each task gets one backup attempt at most
+    scheduleHedge(task) {
+        const { strategy } = this.config.hedging;
+        if (strategy === 'off' || task.hedges > 0) return;
+        if (strategy === 'tied') {
+            // A task that started straight away has nothing to tie
+            if (task.startTime === null && this.hasOtherServer(task)) {
+                this.issueCopy(task);
+            }
+            return;
+        }
+        const delay = this.getHedgeDelay(task);
+        if (delay !== null) {
+            task.hedgeEvent = this.schedule(this.simulationTime + delay, 'hedge', { task });
+        }
+    }
+    
+    handleHedge(task) {
+        task.hedgeEvent = null;
+        if (task.status !== 'processing' || task.assignedServer === null || !this.hasOtherServer(task)) return;
+        const elapsed = Math.round(this.simulationTime - task.dispatchTime);
+        if (this.config.hedging.strategy === 'speculative') {
+            const server = this.findServer(task.assignedServer);
+            this.logEvent(`Task ${task.id} still running on Server ${server.id} after ${elapsed}ms - speculative retry elsewhere`, 'server-overload');
+            this.cancelAttempt(task);
+            task.hedges++;
+            task.avoidServer = server.id;
+            task.remainingTime = task.processingTime;
+            task.startTime = null;
+            task.waitTime = null;
+            this.setTaskStatus(task, 'pending');
+            this.hedgeStats.speculativeRetries++;
+            this.assignTask(task);
+            return;
+        }
+        this.logEvent(`Task ${task.id} still running after ${elapsed}ms - hedged to another server`, 'server-overload');
+        this.issueCopy(task);
+    }
+    
+    // The duplicate shares the task's arrival, so its wait and response times
+    // read the same as the task's would if it wins
+    issueCopy(task) {
+        const copy = {
+            ...task,
+            id: `${task.id}'`,
+            hedgeOf: task,
+            copies: [],
+            hedgeEvent: null,
+            completionEvent: null,
+            timeoutEvent: null,
+            deliveryEvent: null,
+            status: null,
+            assignedServer: null,
+            avoidServer: task.assignedServer,
+            remainingTime: task.processingTime,
+            startTime: null,
+            waitTime: null,
+            dispatchTime: null,
+            attempts: 0,
+            retries: 0
+        };
+        task.copies.push(copy);
+        task.hedges++;
+        this.hedgeStats.copies++;
+        this.setTaskStatus(copy, 'pending');
+        this.assignTask(copy);
+    }
+    
+    // Pulls an attempt off its server, wherever it is: on the wire, queued or in service
+    cancelAttempt(attempt) {
+        const server = this.findServer(attempt.assignedServer);
+        this.releaseTask(attempt);
+        attempt.assignedServer = null;
+        this.hedgeStats.cancelled++;
+        if (!server) return;
+        
+        const queue = server.taskQueues[attempt.priority];
+        if (server.processingTasks.includes(attempt)) {
+            this.accrueUsage(server);
+            server.processingTasks.splice(server.processingTasks.indexOf(attempt), 1);
+            this.hedgeStats.wastedWork += this.simulationTime - attempt.startTime;
+        } else if (queue.includes(attempt)) {
+            queue.splice(queue.indexOf(attempt), 1);
+        }
+        this.updateServerLoad(server);
+        this.processServerTasks(server);
+        this.checkDrained(server);
+    }
+    
+    cancelCopies(task) {
+        task.copies.splice(0).forEach(copy => this.cancelAttempt(copy));
+    }
+    
+    // The task only retries a lost copy's work if it has no attempt of its own left
+    dropCopy(copy, reason) {
+        this.releaseTask(copy);
+        const task = copy.hedgeOf;
+        const index = task.copies.indexOf(copy);
+        if (index === -1) return;
+        task.copies.splice(index, 1);
+        if (task.status === 'processing' && task.assignedServer === null && task.copies.length === 0) {
+            this.retryOrFail(task, reason);
+        }
+    }
+    
+    // Tied requests: the first attempt to start service cancels those still waiting
+    breakTie(started) {
+        const task = started.hedgeOf || started;
+        [task, ...task.copies].forEach(attempt => {
+            if (attempt === started || attempt.startTime !== null || attempt.assignedServer === null) return;
+            if (attempt !== task) {
+                task.copies.splice(task.copies.indexOf(attempt), 1);
+            }
+            this.cancelAttempt(attempt);
+        });
+    }
+    
+    // The copy finished first: the task's own attempt is abandoned and the
+    // task takes over the copy's slot to complete as usual
+    finishCopy(server, copy) {
+        const task = copy.hedgeOf;
+        task.copies.splice(task.copies.indexOf(copy), 1);
+        this.cancelCopies(task);
+        if (task.assignedServer !== null) {
+            this.cancelAttempt(task);
+        }
+        ['assignedServer', 'routedRegion', 'routingScope', 'dispatchTime', 'startTime', 'waitTime', 'networkTime'].forEach(field => {
+            task[field] = copy[field];
+        });
+        server.processingTasks[server.processingTasks.indexOf(copy)] = task;
+        this.hedgeStats.wins++;
+        this.completeTask(server, task);
+    }
+    
+    // Extra load is server time spent on attempts that were cancelled, as a
+    // share of the time spent on the ones that counted
+    getHedgingSummary() {
+        const stats = this.hedgeStats;
+        return {
+            strategy: this.config.hedging.strategy,
+            copies: stats.copies,
+            wins: stats.wins,
+            cancelled: stats.cancelled,
+            speculativeRetries: stats.speculativeRetries,
+            extraLoad: stats.servedWork > 0 ? stats.wastedWork / stats.servedWork : 0
+        };
+    }
+    
+    describeHedging(hedging) {
+        switch (hedging.strategy) {
+            case 'hedged':
+                return `hedged requests, a duplicate after the p${hedging.percentile} response time`;
+            case 'tied':
+                return 'tied requests, two copies that cancel each other when one starts';
+            case 'speculative':
+                return `speculative retries, a slow attempt moved to another server after the p${hedging.percentile} response time`;
+            default:
+                return 'off';
+        }
+    }
+    
+    // ---- Outlier detection ------------------------------------------------
+    
+    // Envoy-style circuit breaker per server. Timeouts and slow responses are
+    // errors; enough of them in a row open the breaker and eject the server for
+    // a growing ejection time. It then turns half-open and takes a few probe
+    // tasks: a success closes the breaker, an error opens it again.
+    acceptsTraffic(server) {
+        switch (server.breaker.state) {
+            case 'open':
+                return false;
+            case 'halfOpen':
+                return this.getOutstandingTasks(server) < this.config.outlierDetection.halfOpenRequests;
+            default:
+                return true;
+        }
+    }
+    
+    recordServerOutcome(server, error, reason) {
+        const detection = this.config.outlierDetection;
+        if (!detection.enabled) return;
+        
+        const breaker = server.breaker;
+        if (error) {
+            breaker.errors++;
+            breaker.consecutiveErrors++;
+        } else {
+            breaker.successes++;
+            breaker.consecutiveErrors = 0;
+        }
+        
+        if (breaker.state === 'halfOpen') {
+            if (error) {
+                this.openBreaker(server, `probe failed (${reason})`);
+            } else {
+                this.closeBreaker(server);
+            }
+        } else if (breaker.state === 'closed' && breaker.consecutiveErrors >= detection.consecutiveErrors) {
+            this.openBreaker(server, `${breaker.consecutiveErrors} consecutive errors, last ${reason}`);
+        }
+    }
+    
+    openBreaker(server, reason) {
+        const detection = this.config.outlierDetection;
+        const breaker = server.breaker;
+        if (breaker.state === 'closed') {
+            const ejected = this.servers.filter(s => s.breaker.state !== 'closed').length;
+            const maxEjected = Math.max(1, Math.floor(this.servers.length * detection.maxEjectionPercent / 100));
+            if (ejected >= maxEjected) {
+                breaker.consecutiveErrors = 0;
+                this.outlierStats.capped++;
+                this.logEvent(`Server ${server.id} not ejected - ${ejected}/${this.servers.length} servers already ejected (${reason})`, 'server-overload');
+                return;
+            }
+        }
+        
+        breaker.ejections++;
+        this.outlierStats.ejections++;
+        const duration = Math.min(detection.maxEjectionTime, detection.baseEjectionTime * breaker.ejections);
+        breaker.state = 'open';
+        breaker.openUntil = this.simulationTime + duration;
+        if (server.pendingHalfOpen) {
+            server.pendingHalfOpen.cancelled = true;
+        }
+        server.pendingHalfOpen = this.schedule(breaker.openUntil, 'halfOpen', { server });
+        this.emit('breakerChanged', { server, state: 'open' });
+        this.logEvent(`Server ${server.id} ejected for ${(duration / 1000).toFixed(1)}s - ${reason}`, 'server-failure');
+    }
+    
+    halfOpenBreaker(server) {
+        server.pendingHalfOpen = null;
+        server.breaker.state = 'halfOpen';
+        server.breaker.openUntil = null;
+        this.emit('breakerChanged', { server, state: 'halfOpen' });
+        this.logEvent(`Server ${server.id} breaker half-open, probing with ${this.config.outlierDetection.halfOpenRequests} task(s)`, 'server-recovery');
+    }
+    
+    closeBreaker(server) {
+        server.breaker.state = 'closed';
+        server.breaker.consecutiveErrors = 0;
+        this.emit('breakerChanged', { server, state: 'closed' });
+        this.logEvent(`Server ${server.id} breaker closed after a successful probe`, 'server-recovery');
+    }
+    
+    // ---- Server health ----------------------------------------------------
+    
+    setServerHealth(server, healthStatus, reason, className) {
+        this.accrueUsage(server);
+        const previousStatus = server.healthStatus;
+        server.healthStatus = healthStatus;
+        this.emit('serverHealthChanged', { server, previousStatus, healthStatus });
+        if (reason) {
+            this.logEvent(reason, className);
+        }
+    }
+    
+    // Zone and rack outages use the same hazard scale as single servers and
+    // take down every member at once
+    scheduleGroupFailure(kind, name) {
+        const { zoneFailureRate, rackFailureRate } = this.config.correlatedFailures;
+        const rate = kind === 'zone' ? zoneFailureRate : rackFailureRate;
+        if (rate <= 0) return;
+        const meanTimeToFailure = this.healthUpdateInterval / (rate * 3);
+        this.schedule(this.simulationTime + this.correlatedRandom.exponential(meanTimeToFailure), 'groupFailure', { kind, name });
+    }
+    
+    handleGroupFailure(kind, name) {
+        const members = this.servers.filter(server => (kind === 'zone' ? server.zone : server.rack) === name);
+        const victims = members.filter(server => server.healthStatus !== 'failed');
+        if (victims.length > 0) {
+            this.correlatedStats[kind === 'zone' ? 'zoneOutages' : 'rackOutages']++;
+            this.logEvent(`${kind === 'zone' ? 'Zone' : 'Rack'} ${name} outage takes down ${victims.length} server(s)`, 'server-failure');
+            victims.forEach(server => this.failServer(server, `Server ${server.id} down in ${kind} ${name} outage`));
+        }
+        this.scheduleGroupFailure(kind, name);
+    }
+    
+    handleRandomFailure(server) {
+        server.pendingFailure = null;
+        if (server.healthStatus === 'healthy') {
+            this.failServer(server, `Server ${server.id} failed due to random failure`);
+        } else if (server.healthStatus === 'degraded') {
+            this.scheduleRandomFailure(server);
+        }
+    }
+    
+    // A null downtime keeps the server down until recoverServer() is called
+    failServer(server, reason, downtime = this.config.serverRecoveryTime) {
+        if (server.pendingFailure) {
+            server.pendingFailure.cancelled = true;
+            server.pendingFailure = null;
+        }
+        if (server.healthStatus === 'draining') {
+            // Nothing to recover for: it was leaving anyway
+            this.logEvent(reason, 'server-failure');
+            this.evacuateServer(server, `lost to Server ${server.id} failure`);
+            this.retireServer(server, 'failed while draining');
+            return;
+        }
+        if (server.pendingScaling) {
+            // Died while booting: it comes up through the normal recovery path instead
+            server.pendingScaling.cancelled = true;
+            server.pendingScaling = null;
+        }
+        server.failureTime = this.simulationTime;
+        server.recoveryTime = downtime === null ? null : this.simulationTime + downtime;
+        this.setServerHealth(server, 'failed', reason, 'server-failure');
+        
+        // Failed servers can't process tasks - retry or fail everything they held
+        this.evacuateServer(server, `lost to Server ${server.id} failure`);
+        
+        if (server.recoveryTime !== null) {
+            server.pendingRecovery = this.schedule(server.recoveryTime, 'recovery', { server });
+        }
+    }
+    
+    evacuateServer(server, reason) {
+        const allTasks = [...server.processingTasks, ...server.taskQueues.high, ...server.taskQueues.medium, ...server.taskQueues.low];
+        this.accrueUsage(server);
+        server.taskQueues.high = [];
+        server.taskQueues.medium = [];
+        server.taskQueues.low = [];
+        server.processingTasks = [];
+        server.currentLoad = 0;
+        allTasks.forEach(task => {
+            this.retryOrFail(task, reason);
+        });
+    }
+    
+    recoverServer(server) {
+        if (server.healthStatus !== 'failed') return;
+        if (server.pendingRecovery) {
+            server.pendingRecovery.cancelled = true;
+            server.pendingRecovery = null;
+        }
+        this.beginRecovery(server);
+    }
+    
+    beginRecovery(server) {
+        server.totalDowntime += this.simulationTime - server.failureTime;
+        server.failureTime = null;
+        server.pendingRecovery = this.schedule(this.simulationTime + this.recoveryWarmupTime, 'recovered', { server });
+        this.setServerHealth(server, 'recovering', `Server ${server.id} recovering`, 'server-recovery');
+    }
+    
+    finishRecovery(server) {
+        server.pendingRecovery = null;
+        server.recoveryTime = null;
+        this.setServerHealth(server, 'healthy', `Server ${server.id} fully recovered`, 'server-recovery');
+        this.scheduleRandomFailure(server);
+        this.processServerTasks(server);
+    }
+    
+    isServing(server) {
+        return (server.healthStatus === 'healthy' || server.healthStatus === 'degraded') && !server.partitioned;
+    }
+    
+    handleHealthCheck() {
+        this.updateServerHealth();
+        if (this.config.healthChecks.enabled) {
+            this.servers.filter(server => server.healthStatus !== 'draining').forEach(server => this.sendProbe(server));
+        }
+        this.schedule(this.simulationTime + this.config.healthCheckInterval, 'healthCheck');
+    }
+    
+    // ---- Health-check probes ----------------------------------------------
+    
+    // A live server answers at once; a probe to a failed or warming-up server
+    // (or one that is lost) only counts as failed when its timeout expires.
+    sendProbe(server) {
+        this.healthCheckStats.probes++;
+        const lost = this.probeRandom.next() < this.config.healthChecks.probeFailureRate;
+        if (this.isServing(server) && !lost) {
+            this.recordProbe(server, true);
+        } else {
+            this.schedule(this.simulationTime + this.config.healthChecks.timeout, 'probeTimeout', { server });
+        }
+    }
+    
+    recordProbe(server, success) {
+        const { healthyThreshold, unhealthyThreshold } = this.config.healthChecks;
+        const probe = server.probe;
+        if (success) {
+            probe.successes++;
+            probe.failures = 0;
+            if (!probe.up && probe.successes >= healthyThreshold) {
+                probe.up = true;
+                this.emit('probeStatusChanged', { server, up: true });
+                this.logEvent(`Health check marked Server ${server.id} up after ${probe.successes} successful probes`, 'server-recovery');
+            }
+            return;
+        }
+        
+        this.healthCheckStats.failedProbes++;
+        probe.failures++;
+        probe.successes = 0;
+        if (probe.up && probe.failures >= unhealthyThreshold) {
+            probe.up = false;
+            this.healthCheckStats.detections++;
+            let detail = '';
+            if (server.failureTime !== null) {
+                const lag = this.simulationTime - server.failureTime;
+                this.healthCheckStats.detectionLagSum += lag;
+                this.healthCheckStats.maxDetectionLag = Math.max(this.healthCheckStats.maxDetectionLag, lag);
+                detail = ` (${(lag / 1000).toFixed(1)}s after it failed)`;
+            } else if (this.isServing(server)) {
+                this.healthCheckStats.falseDetections++;
+                detail = ' (false positive, server is up)';
+            }
+            this.emit('probeStatusChanged', { server, up: false });
+            this.logEvent(`Health check marked Server ${server.id} down after ${probe.failures} failed probes${detail}`, 'server-failure');
+        }
+    }
+    
+    getZoneLocality() {
+        const routed = this.zoneStats.local + this.zoneStats.spillover;
+        return routed > 0 ? (this.zoneStats.local / routed) * 100 : 100;
+    }
+    
+    getDetectionLag() {
+        const { detections, falseDetections, detectionLagSum } = this.healthCheckStats;
+        const detected = detections - falseDetections;
+        return detected > 0 ? detectionLagSum / detected : 0;
+    }
+    
+    updateServerHealth() {
+        const now = this.simulationTime;
+        this.servers.forEach(server => {
+            server.lastHealthCheck = now;
+            
+            // Performance degradation based on load
+            // loadRatio is outstanding tasks per worker slot
+            if (server.healthStatus === 'healthy') {
+                const loadRatio = server.currentLoad / server.capacity;
+                if (loadRatio > 1.5) {
+                    this.setServerHealth(server, 'degraded', `Server ${server.id} performance degraded due to high load`, 'server-overload');
+                }
+            } else if (server.healthStatus === 'degraded') {
+                const loadRatio = server.currentLoad / server.capacity;
+                if (loadRatio < 1.1) {
+                    this.setServerHealth(server, 'healthy');
+                }
+            }
+            
+            // Cascading failure: a crash moves the server's work onto the survivors
+            const { cascade, cascadeLoadThreshold, cascadeProbability } = this.config.correlatedFailures;
+            const slotLoad = this.getOutstandingTasks(server) / server.maxConcurrent;
+            if (cascade && this.isServing(server) && slotLoad >= cascadeLoadThreshold &&
+                this.correlatedRandom.next() < cascadeProbability) {
+                this.correlatedStats.cascadeFailures++;
+                this.failServer(server, `Server ${server.id} crashed under overload (${slotLoad.toFixed(1)} tasks per worker slot)`);
+            }
+            
+            this.updateUptime(server);
+        });
+    }
+    
+    updateUptime(server) {
+        const totalTime = Math.max(1, this.simulationTime - server.creationTime);
+        const currentDownTime = server.failureTime !== null ? this.simulationTime - server.failureTime : 0;
+        server.uptime = Math.max(0, ((totalTime - server.totalDowntime - currentDownTime) / totalTime) * 100);
+    }
+    
+    // ---- Metrics ----------------------------------------------------------
+    
+    handleSample(reschedule = true) {
+        this.ageTasks();
+        this.servers.forEach(server => {
+            this.updateUptime(server);
+            this.accrueUsage(server);
+        });
+        if (reschedule && this.config.autoscaling.enabled) {
+            this.evaluateAutoscaling();
+        }
+        const metrics = this.calculateAdvancedMetrics();
+        this.updateTaskProgress();
+        this.emit('step', metrics);
+        if (reschedule) {
+            this.schedule(this.simulationTime + this.sampleInterval, 'sample');
+        }
+        return metrics;
+    }
+    
+    recordResponseTime(task) {
+        this.responseStats.sum += task.responseTime;
+        this.responseStats.sumOfSquares += task.responseTime * task.responseTime;
+        this.responseStats.waitSum += task.waitTime;
+        this.responseStats.serviceSum += task.serviceTime;
+        this.responseStats.downstreamSum += task.downstreamTime;
+        this.unsortedResponseTimes.push(task.responseTime);
+        this.windowResponseTimes.push(task.responseTime);
+        
+        const stats = this.slaStats[task.priority];
+        const compliant = task.responseTime <= this.taskPriorities[task.priority].slaTarget;
+        stats.completed++;
+        if (compliant) {
+            stats.compliant++;
+        }
+        
+        if (task.tenant) {
+            const tenantStats = this.getTenantStats(task.tenant);
+            tenantStats.completed++;
+            tenantStats.responseSum += task.responseTime;
+            tenantStats.unsortedResponseTimes.push(task.responseTime);
+            if (compliant) {
+                tenantStats.compliant++;
+            }
+        }
+    }
+    
+    // All completed response times (of the run, or of one tenant's stats) in
+    // ascending order. New samples are sorted and merged in on demand so long
+    // runs never re-sort the whole history.
+    getSortedResponseTimes(holder = this) {
+        const incoming = holder.unsortedResponseTimes;
+        if (incoming.length === 0) return holder.sortedResponseTimes;
+        
+        incoming.sort((a, b) => a - b);
+        const sorted = holder.sortedResponseTimes;
+        let i = sorted.length - 1;
+        let j = incoming.length - 1;
+        sorted.push(...incoming);
+        let k = sorted.length - 1;
+        while (j >= 0) {
+            sorted[k--] = i >= 0 && sorted[i] > incoming[j] ? sorted[i--] : incoming[j--];
+        }
+        holder.unsortedResponseTimes = [];
+        return sorted;
+    }
+    
+    calculateAdvancedMetrics() {
+        const timestamp = this.simulationTime / 1000;
+        const elapsedSeconds = this.simulationTime / 1000;
+        const completedCount = this.statusCounts.completed;
+        const failedCount = this.statusCounts.failed;
+        
+        // Response Time metrics and percentiles
+        const completedResponseTimes = this.getSortedResponseTimes();
+        let avgResponseTime = 0;
+        let avgWaitTime = 0, avgServiceTime = 0;
+        let p50 = 0, p90 = 0, p95 = 0, p99 = 0;
+        
+        if (completedCount > 0) {
+            avgResponseTime = this.responseStats.sum / completedCount;
+            avgWaitTime = this.responseStats.waitSum / completedCount;
+            avgServiceTime = this.responseStats.serviceSum / completedCount;
+            p50 = this.getPercentile(completedResponseTimes, 50);
+            p90 = this.getPercentile(completedResponseTimes, 90);
+            p95 = this.getPercentile(completedResponseTimes, 95);
+            p99 = this.getPercentile(completedResponseTimes, 99);
+        }
+        
+        // Throughput
+        const throughput = elapsedSeconds > 0 ? completedCount / elapsedSeconds : 0;
+        
+        // SLA Compliance by priority
+        const slaCompliance = this.calculateSLACompliance();
+        
+        // Failure Rate
+        const totalTasks = completedCount + failedCount;
+        const failureRate = totalTasks > 0 ? (failedCount / totalTasks) * 100 : 0;
+        const successRate = totalTasks > 0 ? (completedCount / totalTasks) * 100 : 100;
+        const rejectedCount = this.statusCounts.rejected;
+        const rejectionRate = totalTasks + rejectedCount > 0 ? (rejectedCount / (totalTasks + rejectedCount)) * 100 : 0;
+        
+        // Retry amplification: server attempts per task that reached a server
+        const retryAmplification = this.retryStats.dispatchedTasks > 0 ? this.retryStats.attempts / this.retryStats.dispatchedTasks : 1;
+        
+        // Server Availability
+        const avgAvailability = this.servers.reduce((sum, server) => sum + server.uptime, 0) / this.servers.length;
+        
+        // Load Variance
+        const loadVariance = this.calculateLoadVariance();
+        
+        // Resource utilization and load fairness across healthy servers
+        const healthyServers = this.servers.filter(s => s.healthStatus === 'healthy');
+        const totalCapacity = healthyServers.reduce((sum, server) => sum + server.capacity, 0);
+        const totalLoad = healthyServers.reduce((sum, server) => sum + server.currentLoad, 0);
+        const resourceUtilization = totalCapacity > 0 ? (totalLoad / totalCapacity) * 100 : 0;
+        const loadFairness = this.calculateLoadVariance(healthyServers);
+        
+        // Queue Depth
+        const totalQueueSize = this.servers.reduce((sum, server) => sum + this.getQueueSize(server), 0);
+        const avgQueueDepth = totalQueueSize / this.servers.length;
+        
+        // Jitter (Response time variance)
+        const jitter = completedCount > 1 ?
+            Math.sqrt(Math.max(0, this.responseStats.sumOfSquares / completedCount - avgResponseTime * avgResponseTime)) : 0;
+        
+        // Per-tenant latency, SLA and fairness
+        const tenantSummary = this.getTenantSummary();
+        
+        // Store metrics
+        this.metrics.responseTime.push(avgResponseTime);
+        this.metrics.waitTime.push(avgWaitTime);
+        this.metrics.serviceTime.push(avgServiceTime);
+        this.metrics.throughput.push(throughput);
+        this.metrics.resourceUtilization.push(resourceUtilization);
+        this.metrics.loadFairness.push(loadFairness);
+        this.metrics.loadVariance.push(loadVariance);
+        this.metrics.slaCompliance.push(slaCompliance.overall);
+        this.metrics.failureRate.push(failureRate);
+        this.metrics.successRate.push(successRate);
+        this.metrics.rejectionRate.push(rejectionRate);
+        this.metrics.retryAmplification.push(retryAmplification);
+        this.metrics.serverCount.push(this.servers.length);
+        this.metrics.servingServers.push(this.servers.filter(server => this.isServing(server)).length);
+        this.metrics.timestamps.push(timestamp);
+        this.metrics.responseTimePercentiles.p50.push(p50);
+        this.metrics.responseTimePercentiles.p90.push(p90);
+        this.metrics.responseTimePercentiles.p95.push(p95);
+        
+        this.lastMetrics = {
+            timestamp,
+            avgResponseTime,
+            avgWaitTime,
+            avgServiceTime,
+            avgDownstreamTime: completedCount > 0 ? this.responseStats.downstreamSum / completedCount : 0,
+            p50,
+            p90,
+            p95,
+            p99,
+            throughput,
+            slaCompliance,
+            failureRate,
+            successRate,
+            rejectionRate,
+            retryAmplification,
+            retries: this.retryStats.retries,
+            timeouts: this.retryStats.timeouts,
+            ejectedServers: this.servers.filter(server => server.breaker.state === 'open').length,
+            ejections: this.outlierStats.ejections,
+            detectionLag: this.getDetectionLag(),
+            misroutedTasks: this.healthCheckStats.misroutedTasks,
+            zoneLocality: this.getZoneLocality(),
+            avgNetworkTime: completedCount > 0 ? this.networkStats.networkSum / completedCount : 0,
+            lostPackets: this.networkStats.lostPackets,
+            tenants: tenantSummary,
+            tenantFairness: this.calculateTenantFairness(tenantSummary),
+            gslb: this.config.gslb.enabled ? this.getGslbSummary() : null,
+            balancers: this.getBalancerSummary(),
+            services: this.getServiceSummary(),
+            callGraphs: this.getCallGraphSummary(),
+            hedging: this.getHedgingSummary(),
+            serverCount: this.servers.length,
+            scalingEvents: this.scalingEvents.length,
+            ...this.getCostSummary(),
+            avgAvailability,
+            loadVariance,
+            resourceUtilization,
+            loadFairness,
+            avgQueueDepth,
+            jitter,
+            keysMoved: this.hashStats.keysMoved,
+            lastKeysMoved: this.hashStats.lastKeysMoved,
+            lastKeyCount: this.hashStats.lastKeyCount
+        };
+        return this.lastMetrics;
+    }
+    
+    getQueueSize(server) {
+        return server.taskQueues.high.length + server.taskQueues.medium.length + server.taskQueues.low.length;
+    }
+    
+    getPercentile(sortedArray, percentile) {
+        if (sortedArray.length === 0) return 0;
+        const index = Math.ceil((percentile / 100) * sortedArray.length) - 1;
+        return sortedArray[Math.max(0, Math.min(index, sortedArray.length - 1))];
+    }
+    
+    calculateSLACompliance() {
+        const priorities = ['high', 'medium', 'low'];
+        const compliance = { high: 100, medium: 100, low: 100, overall: 100 };
+        let completed = 0;
+        let compliant = 0;
+        
+        priorities.forEach(priority => {
+            const stats = this.slaStats[priority];
+            if (stats.completed > 0) {
+                compliance[priority] = (stats.compliant / stats.completed) * 100;
+            }
+            completed += stats.completed;
+            compliant += stats.compliant;
+        });
+        
+        // Overall compliance
+        if (completed > 0) {
+            compliance.overall = (compliant / completed) * 100;
+        }
+        
+        return compliance;
+    }
+    
+    calculateLoadVariance(servers = this.servers) {
+        if (servers.length === 0) return 0;
+        const loads = servers.map(server => server.currentLoad);
+        const avgLoad = loads.reduce((sum, load) => sum + load, 0) / loads.length;
+        const variance = loads.reduce((sum, load) => sum + Math.pow(load - avgLoad, 2), 0) / loads.length;
+        return Math.sqrt(variance);
+    }
+    
+    updateTaskProgress() {
+        const { pending: pendingTasks, processing: inProgressTasks, completed: completedTasks, failed: failedTasks, rejected: rejectedTasks } = this.statusCounts;
+        const resolvedTasks = completedTasks + failedTasks + rejectedTasks;
+        const elapsedSeconds = this.simulationTime / 1000;
+        
+        this.taskProgress = {
+            total: this.getTaskTarget(),
+            pending: pendingTasks,
+            inProgress: inProgressTasks,
+            completed: completedTasks,
+            failed: failedTasks,
+            rejected: rejectedTasks,
+            shed: this.rejectionCounts.shed,
+            completionPercentage: this.getTaskTarget() > 0 ? (resolvedTasks / this.getTaskTarget()) * 100 : 0,
+            completionRate: elapsedSeconds > 0 ? completedTasks / elapsedSeconds : 0,
+            successRate: (completedTasks + failedTasks) > 0 ? (completedTasks / (completedTasks + failedTasks)) * 100 : 100
+        };
+        
+        // ETA in virtual seconds for the tasks not yet resolved
+        const remainingTasks = this.getTaskTarget() - resolvedTasks;
+        if (this.taskProgress.completionRate > 0 && remainingTasks > 0) {
+            this.taskProgress.eta = remainingTasks / this.taskProgress.completionRate;
+        } else {
+            this.taskProgress.eta = 0;
+        }
+        
+        return this.taskProgress;
+    }
+    
+    // ---- Manual controls --------------------------------------------------
+    
+    simulateRandomFailure() {
+        const healthyServers = this.servers.filter(server => server.healthStatus === 'healthy' || server.healthStatus === 'degraded');
+        if (healthyServers.length > 0) {
+            const randomServer = this.failureRandom.pick(healthyServers);
+            this.failServer(randomServer, `Manually triggered failure on Server ${randomServer.id}`);
+            return randomServer;
+        }
+        return null;
+    }
+    
+    recoverAllServers() {
+        this.servers.forEach(server => {
+            if (server.healthStatus === 'failed' || server.healthStatus === 'recovering') {
+                if (server.pendingRecovery) {
+                    server.pendingRecovery.cancelled = true;
+                    server.pendingRecovery = null;
+                }
+                if (server.failureTime !== null) {
+                    server.totalDowntime += this.simulationTime - server.failureTime;
+                }
+                server.failureTime = null;
+                server.recoveryTime = null;
+                this.setServerHealth(server, 'healthy');
+                this.scheduleRandomFailure(server);
+            }
+        });
+        this.logEvent('All servers manually recovered', 'server-recovery');
+    }
+    
+    // ---- Scenarios --------------------------------------------------------
+    
+    // Accepts JSON text or an object: { name, events: [{ time, action, ... }] }.
+    // Actions: fail / zoneOutage / rackOutage (down for `duration` ms, or until
+    // a recover event), recover, degrade (run at `speed` x normal for `duration`),
+    // partition (unreachable for `duration`) and failRandom (`count` servers).
+    static parseScenario(source) {
+        const scenario = typeof source === 'string' ? JSON.parse(source) : source;
+        const events = Array.isArray(scenario) ? scenario : scenario && scenario.events;
+        if (!Array.isArray(events)) {
+            throw new Error('Scenario needs an "events" array');
+        }
+        
+        const actions = ['fail', 'recover', 'degrade', 'zoneOutage', 'rackOutage', 'partition', 'failRandom'];
+        const parsed = events.map((event, index) => {
+            const where = `Event ${index + 1}`;
+            if (!event || !actions.includes(event.action)) {
+                throw new Error(`${where}: unknown action "${event && event.action}" (use ${actions.join(', ')})`);
+            }
+            if (typeof event.time !== 'number' || !(event.time >= 0)) {
+                throw new Error(`${where}: "time" must be a non-negative number of ms`);
+            }
+            if (event.duration !== undefined && !(event.duration > 0)) {
+                throw new Error(`${where}: "duration" must be a positive number of ms`);
+            }
+            if (['fail', 'recover', 'degrade', 'partition'].includes(event.action) &&
+                !(Array.isArray(event.servers) && event.servers.length > 0)) {
+                throw new Error(`${where}: "servers" must list server ids`);
+            }
+            if (event.action === 'zoneOutage' && !event.zone) {
+                throw new Error(`${where}: "zone" is required`);
+            }
+            if (event.action === 'rackOutage' && !event.rack) {
+                throw new Error(`${where}: "rack" is required`);
+            }
+            if (event.action === 'degrade' && !(event.speed > 0)) {
+                throw new Error(`${where}: "speed" must be a positive multiplier`);
+            }
+            return { ...event };
+        });
+        parsed.sort((a, b) => a.time - b.time);
+        
+        return { name: (scenario && scenario.name) || 'scenario', events: parsed };
+    }
+    
+    scenarioServers(event) {
+        if (event.action === 'zoneOutage') {
+            return this.servers.filter(server => server.zone === event.zone);
+        }
+        if (event.action === 'rackOutage') {
+            return this.servers.filter(server => server.rack === event.rack);
+        }
+        return (event.servers || []).map(id => this.servers.find(server => server.id === id)).filter(Boolean);
+    }
+    
+    applyScenarioEvent(event) {
+        const servers = this.scenarioServers(event);
+        if (servers.length === 0 && event.action !== 'failRandom') {
+            this.logEvent(`Scenario: ${this.describeScenarioEvent(event)} matches no servers`, 'server-overload');
+            return;
+        }
+        
+        switch (event.action) {
+            case 'fail':
+            case 'zoneOutage':
+            case 'rackOutage': {
+                const outage = { zoneOutage: ` in ${event.zone} outage`, rackOutage: ` in ${event.rack} outage` }[event.action] || '';
+                servers.filter(server => server.healthStatus !== 'failed').forEach(server => {
+                    this.failServer(server, `Scenario: Server ${server.id} killed${outage}`, event.duration ?? null);
+                });
+                break;
+            }
+            case 'recover':
+                servers.forEach(server => {
+                    this.setServerSpeed(server, server.baseSpeed);
+                    this.healPartition(server);
+                    this.recoverServer(server);
+                });
+                break;
+            case 'degrade':
+                servers.forEach(server => this.setServerSpeed(server, server.baseSpeed * event.speed));
+                this.logEvent(`Scenario: ${servers.map(server => `Server ${server.id}`).join(', ')} slowed to ${Math.round(event.speed * 100)}% speed`, 'server-overload');
+                break;
+            case 'partition':
+                servers.forEach(server => {
+                    server.partitioned = true;
+                    this.emit('serverHealthChanged', { server, previousStatus: server.healthStatus, healthStatus: server.healthStatus });
+                    this.evacuateServer(server, `lost in partition of Server ${server.id}`);
+                });
+                this.logEvent(`Scenario: ${servers.map(server => `Server ${server.id}`).join(', ')} partitioned from the balancer`, 'server-failure');
+                break;
+            case 'failRandom':
+                for (let i = 0; i < (event.count ?? 1); i++) {
+                    this.simulateRandomFailure();
+                }
+                break;
+        }
+        
+        if (event.duration && ['degrade', 'partition'].includes(event.action)) {
+            this.schedule(this.simulationTime + event.duration, 'scenarioRestore', { event });
+        }
+    }
+    
+    restoreScenarioEvent(event) {
+        const servers = this.scenarioServers(event);
+        if (event.action === 'degrade') {
+            servers.forEach(server => this.setServerSpeed(server, server.baseSpeed));
+            this.logEvent(`Scenario: ${servers.map(server => `Server ${server.id}`).join(', ')} back to full speed`, 'server-recovery');
+        } else {
+            servers.forEach(server => this.healPartition(server));
+        }
+    }
+    
+    healPartition(server) {
+        if (!server.partitioned) return;
+        server.partitioned = false;
+        this.emit('serverHealthChanged', { server, previousStatus: server.healthStatus, healthStatus: server.healthStatus });
+        this.logEvent(`Scenario: Server ${server.id} reachable again`, 'server-recovery');
+        this.processServerTasks(server);
+    }
+    
+    // Work left on each task in service carries over at the new speed
+    setServerSpeed(server, speed) {
+        if (speed === server.speed) return;
+        if (this.config.queueDiscipline === 'processorSharing') {
+            // Charges the elapsed work at the old rate before rescheduling
+            server.speed = speed;
+            this.shareProcessor(server);
+            return;
+        }
+        server.processingTasks.forEach(task => {
+            if (!task.completionEvent) return;
+            const work = (task.completionEvent.time - this.simulationTime) * server.speed;
+            task.completionEvent.cancelled = true;
+            task.completionEvent = this.schedule(this.simulationTime + work / speed, 'completion', { server, task });
+        });
+        server.speed = speed;
+    }
+    
+    // ---- Export -----------------------------------------------------------
+    
+    describeScenarioEvent(event) {
+        const servers = event.servers ? `server${event.servers.length > 1 ? 's' : ''} ${event.servers.join(', ')}` : '';
+        const duration = event.duration ? ` for ${(event.duration / 1000).toFixed(1)}s` : '';
+        switch (event.action) {
+            case 'fail':
+                return `kill ${servers}${duration || ' until recovered'}`;
+            case 'zoneOutage':
+                return `${event.zone} outage${duration || ' until recovered'}`;
+            case 'rackOutage':
+                return `${event.rack} outage${duration || ' until recovered'}`;
+            case 'recover':
+                return `recover ${servers}`;
+            case 'degrade':
+                return `slow ${servers} to ${Math.round(event.speed * 100)}% speed${duration}`;
+            case 'partition':
+                return `partition ${servers}${duration}`;
+            case 'failRandom':
+                return `kill ${event.count ?? 1} random server(s)`;
+            default:
+                return event.action;
+        }
+    }
+    
+    describeAdmissionControl(admission) {
+        if (admission.mode === 'off') return 'off';
+        const action = admission.mode === 'shed' ? 'reject and shed' : 'reject';
+        return `${action} ${admission.priorities.join('/')} priority above ${Math.round(admission.utilizationThreshold * 100)}% utilization`;
+    }
+    
+    describeRetryPolicy(policy) {
+        if (policy.maxRetries <= 0) return 'none';
+        return `up to ${policy.maxRetries} retries, backoff ${policy.backoffBase}ms doubling to ${policy.backoffMax}ms, ${policy.jitter} jitter`;
+    }
+    
+    describeOutlierDetection(detection) {
+        if (!detection.enabled) return 'off';
+        const latency = detection.latencyThreshold > 0 ? ` or responses over ${detection.latencyThreshold}ms` : '';
+        return `eject after ${detection.consecutiveErrors} consecutive timeouts${latency} for ${detection.baseEjectionTime}ms x ejections (max ${detection.maxEjectionTime}ms), at most ${detection.maxEjectionPercent}% of servers`;
+    }
+    
+    describeTenant(tenant) {
+        const limits = [
+            tenant.rateLimit > 0 ? `${tenant.rateLimit}/s (burst ${tenant.burst > 0 ? tenant.burst : tenant.rateLimit})` : null,
+            tenant.maxInFlight > 0 ? `${tenant.maxInFlight} in flight` : null
+        ].filter(Boolean);
+        return `${tenant.name} share ${tenant.share}, weight ${tenant.weight}${limits.length > 0 ? `, limit ${limits.join(', ')}` : ''}`;
+    }
+    
+    describeAutoscaling(policy) {
+        if (!policy.enabled) return 'off';
+        return `${policy.metric} out above ${policy.scaleOutThreshold}, in below ${policy.scaleInThreshold}, ${policy.minServers}-${policy.maxServers} servers, ${policy.bootTime}ms boot, ${policy.cooldown}ms cooldown`;
+    }
+    
+    describeCorrelatedFailures(correlated) {
+        const modes = [];
+        if (correlated.zoneFailureRate > 0) modes.push(`zone outages ${(correlated.zoneFailureRate * 100).toFixed(1)}%`);
+        if (correlated.rackFailureRate > 0) modes.push(`rack outages ${(correlated.rackFailureRate * 100).toFixed(1)}%`);
+        if (correlated.cascade) modes.push(`overload crashes above ${correlated.cascadeLoadThreshold} tasks per slot (${Math.round(correlated.cascadeProbability * 100)}% per check)`);
+        return modes.length > 0 ? modes.join(', ') : 'none';
+    }
+    
+    describeHealthChecks(config) {
+        const checks = config.healthChecks;
+        if (!checks.enabled) return `off (load checks every ${config.healthCheckInterval / 1000}s)`;
+        return `every ${config.healthCheckInterval / 1000}s, ${checks.timeout}ms timeout, down after ${checks.unhealthyThreshold} failures, up after ${checks.healthyThreshold} successes, ${(checks.probeFailureRate * 100).toFixed(1)}% probe loss`;
+    }
+    
+    describeServiceTime(config, priority) {
+        const spec = config.serviceTimeDistributions[priority];
+        const mean = new ServiceTimeDistribution({
+            min: config.taskProcessingTimeMin,
+            max: config.taskProcessingTimeMax,
+            ...spec
+        }, null).mean();
+        const meanText = isFinite(mean) ? `mean ${Math.round(mean)}ms` : 'infinite mean';
+        
+        switch (spec.model) {
+            case 'exponential':
+                return `exponential (${meanText})`;
+            case 'logNormal':
+                return `log-normal (median ${spec.median}ms, sigma ${spec.sigma}, ${meanText})`;
+            case 'pareto':
+                return `Pareto (scale ${spec.paretoScale}ms, shape ${spec.paretoShape}, ${meanText})`;
+            case 'bimodal':
+                return `bimodal (${Math.round(spec.slowFraction * 100)}% at ${spec.slowMean}ms, rest at ${spec.fastMean}ms, ${meanText})`;
+            case 'empirical':
+                return spec.histogram
+                    ? `empirical (${spec.histogram.length} histogram bins, ${meanText})`
+                    : `empirical with no histogram, uniform ${config.taskProcessingTimeMin}-${config.taskProcessingTimeMax}ms`;
+            default:
+                return `uniform ${config.taskProcessingTimeMin}-${config.taskProcessingTimeMax}ms`;
+        }
+    }
+    
+    getExportData() {
+        return {
+            config: this.config,
+            seed: this.seed,
+            taskCount: this.getTaskTarget(),
+            hashStats: this.hashStats,
+            simulationTime: this.simulationTime,
+            servers: this.servers.map(({ pendingRecovery, pendingFailure, pendingHalfOpen, pendingScaling, ...server }) => ({
+                ...server,
+                processingTasks: server.processingTasks.map(task => task.id)
+            })),
+            retiredServers: this.retiredServers.map(({ pendingRecovery, pendingFailure, pendingHalfOpen, pendingScaling, ...server }) => ({
+                ...server,
+                processingTasks: []
+            })),
+            scalingEvents: this.scalingEvents,
+            tasks: this.tasks.map(({ completionEvent, timeoutEvent, deliveryEvent, hedgeEvent, copies, ...task }) => task),
+            completedTasks: this.completedTasks.map(({ completionEvent, timeoutEvent, deliveryEvent, hedgeEvent, copies, ...task }) => task),
+            failedTasks: this.failedTasks.map(({ completionEvent, timeoutEvent, deliveryEvent, hedgeEvent, copies, ...task }) => task),
+            rejectedTasks: this.rejectedTasks.map(({ completionEvent, timeoutEvent, deliveryEvent, hedgeEvent, copies, ...task }) => task),
+            rejectionCounts: this.rejectionCounts,
+            retryStats: this.retryStats,
+            outlierStats: this.outlierStats,
+            healthCheckStats: this.healthCheckStats,
+            correlatedStats: this.correlatedStats,
+            zoneStats: this.zoneStats,
+            detectionLag: this.getDetectionLag(),
+            costSummary: this.getCostSummary(),
+            networkStats: this.networkStats,
+            tenants: this.getTenantSummary(),
+            tenantFairness: this.calculateTenantFairness(),
+            gslb: this.config.gslb.enabled ? this.getGslbSummary() : null,
+            balancerSummary: this.getBalancerSummary(),
+            services: this.getServiceSummary(),
+            callGraphs: this.getCallGraphSummary(),
+            hops: this.hopRecords,
+            hedging: this.getHedgingSummary(),
+            metrics: this.metrics,
+            timestamp: new Date().toISOString(),
+            algorithm: this.config.algorithm
+        };
+    }
+    
+    convertToCSV(data) {
+        let csv = 'Task ID,Tenant,Priority,Arrival Time,Processing Time,Assigned Server,Completion Time,Response Time,Wait Time,Service Time,Attempts,SLA Violation,Failed,Rejected\n';
+        
+        [...data.completedTasks, ...data.failedTasks, ...data.rejectedTasks].forEach(task => {
+            const slaTarget = this.taskPriorities[task.priority].slaTarget;
+            const slaViolation = task.responseTime > slaTarget;
+            csv += `${task.id},${task.tenant || ''},${task.priority},${task.arrivalTime},${task.processingTime},${task.assignedServer || 'N/A'},${task.completionTime ?? 'N/A'},${task.responseTime ?? 'N/A'},${task.waitTime ?? 'N/A'},${task.serviceTime ?? 'N/A'},${task.attempts},${slaViolation},${task.failed},${task.rejectionReason || false}\n`;
+        });
+        
+        csv += '\n\nServer ID,Total Processed,Current Load,Capacity,Worker Slots,Speed,Zone,Rack,Health Status,Breaker,Ejections,Uptime %,Weight,Hourly Cost,Cost,Energy (Wh)\n';
+        [...data.servers, ...data.retiredServers].forEach(server => {
+            csv += `${server.id},${server.totalProcessed},${server.currentLoad},${server.capacity},${server.maxConcurrent},${server.speed},${server.zone},${server.rack},${server.retiredTime !== undefined ? 'retired' : server.healthStatus},${server.breaker.state},${server.breaker.ejections},${server.uptime.toFixed(2)},${server.weight.toFixed(2)},${server.hourlyCost},${server.cost.toFixed(4)},${(server.energy / 3600).toFixed(2)}\n`;
+        });
+        
+        if (data.tenants.length > 0) {
+            csv += '\n\nTenant,Arrived,Completed,Failed,Rejected,Rate Limited,Over Quota,Avg Response Time,95th Percentile,SLA Compliance %,Goodput %\n';
+            data.tenants.forEach(tenant => {
+                csv += `${tenant.name},${tenant.arrived},${tenant.completed},${tenant.failed},${tenant.rejected},${tenant.rateLimited},${tenant.quotaRejected},${tenant.avgResponseTime.toFixed(0)},${tenant.p95.toFixed(0)},${tenant.slaCompliance.toFixed(2)},${(tenant.goodput * 100).toFixed(2)}\n`;
+            });
+            csv += `Jain's Fairness Index,${data.tenantFairness.toFixed(3)}\n`;
+        }
+        
+        if (data.gslb) {
+            csv += '\n\nRegion,Algorithm,Up,Servers,Available,Routed,Failed Over In,Completed,Failed,Outages,Avg Response Time\n';
+            data.gslb.regions.forEach(region => {
+                csv += `${region.region},${region.algorithm},${region.up},${region.servers},${region.available},${region.routed},${region.failedOver},${region.completed},${region.failed},${region.outages},${region.avgResponseTime.toFixed(0)}\n`;
+            });
+            csv += `Failovers,${data.gslb.failovers}\nBlackholed Attempts,${data.gslb.blackholed}\n`;
+        }
+        
+        if (data.callGraphs.length > 0) {
+            csv += '\n\nCall Graph,Share,Path,Completed,Failed,Calls per Request,Avg End-to-End Time\n';
+            data.callGraphs.forEach(graph => {
+                csv += `${graph.name},${graph.share},${graph.path},${graph.completed},${graph.failed},${graph.callsPerRequest.toFixed(2)},${graph.avgResponseTime.toFixed(0)}\n`;
+            });
+            
+            csv += '\n\nService,Algorithm,Servers,Calls Completed,Calls Failed,Avg Latency,95th Percentile,Avg Wait Time,Avg Service Time,Avg Downstream Time\n';
+            data.services.forEach(service => {
+                csv += `${service.service},${service.algorithm},${service.servers},${service.completed},${service.failed},${service.avgLatency.toFixed(0)},${service.p95Latency.toFixed(0)},${service.avgWaitTime.toFixed(0)},${service.avgServiceTime.toFixed(0)},${service.avgDownstreamTime.toFixed(0)}\n`;
+            });
+            
+            csv += '\n\nRequest ID,Hop,Service,Caller,Depth,Server,Called At,Latency,Wait Time,Service Time,Downstream Time,Attempts,Failed\n';
+            data.hops.forEach(hop => {
+                csv += `${hop.requestId},${hop.hop},${hop.service},${hop.caller || ''},${hop.depth},${hop.server || 'N/A'},${hop.calledAt},${hop.latency},${hop.waitTime ?? 'N/A'},${hop.serviceTime ?? 'N/A'},${hop.downstreamTime},${hop.attempts},${hop.failed}\n`;
+            });
+        }
+        
+        return csv;
+    }
+    
+    generatePerformanceReport(data) {
+        const slaCompliance = this.calculateSLACompliance();
+        const avgResponseTime = data.metrics.responseTime[data.metrics.responseTime.length - 1] || 0;
+        const throughput = data.metrics.throughput[data.metrics.throughput.length - 1] || 0;
+        const failureRate = data.metrics.failureRate[data.metrics.failureRate.length - 1] || 0;
+        const avgAvailability = data.servers.reduce((sum, server) => sum + server.uptime, 0) / data.servers.length;
+        
+        return `
+ADVANCED LOAD BALANCING PERFORMANCE REPORT
+==========================================
+
+Algorithm: ${data.algorithm}
+Seed: ${data.seed}
+Simulation Time: ${(data.simulationTime / 1000).toFixed(1)}s
+Generated at: ${data.timestamp}
+
+CONFIGURATION
+-------------
+Servers: ${data.servers.length}
+Server Capacity: ${data.config.serverSpecs ? 'per server (see below)' : data.config.serverCapacity}
+Queue Discipline: ${data.config.queueDiscipline}
+Max Queue Length: ${data.config.maxQueueLength > 0 ? data.config.maxQueueLength : 'unlimited'}
+Admission Control: ${this.describeAdmissionControl(data.config.admissionControl)}
+Retry Policy: ${this.describeRetryPolicy(data.config.retryPolicy)}
+Tail Mitigation: ${this.describeHedging(data.config.hedging)}
+Outlier Detection: ${this.describeOutlierDetection(data.config.outlierDetection)}
+Health Checks: ${this.describeHealthChecks(data.config)}
+Request Timeouts: ${Object.entries(data.config.requestTimeouts).map(([priority, timeout]) => `${priority} ${timeout > 0 ? timeout + 'ms' : 'none'}`).join(', ')}
+Total Tasks: ${data.taskCount}
+Arrival Rate: ${data.config.arrivalRate} tasks/sec
+Arrival Model: ${this.describeArrivalModel(data.config)}
+${Object.keys(data.config.serviceTimeDistributions).map(priority =>
+    `Service Time (${priority}): ${this.describeServiceTime(data.config, priority)}`
+).join('\n')}
+Failure Rate: ${(data.config.serverFailureRate * 100).toFixed(1)}%
+Zones: ${[...new Set(data.servers.map(server => server.zone))].join(', ')} (${new Set(data.servers.map(server => server.rack)).size} racks)
+Correlated Failures: ${this.describeCorrelatedFailures(data.config.correlatedFailures)}
+Autoscaling: ${this.describeAutoscaling(data.config.autoscaling)}
+Tenants: ${data.config.tenants.length > 0 ? data.config.tenants.map(tenant => this.describeTenant(tenant)).join('; ') : 'single tenant'}
+Network: ${this.describeNetwork(data.config.network)}
+Global Balancing: ${this.describeGslb(data.config.gslb)}
+Balancer Instances: ${this.describeBalancers(data.config.balancers)}
+Call Graphs: ${this.describeCallGraphs(data.config.callGraphs)}
+Cost Model: ${data.config.serverSpecs ? 'per server (see below)' : `$${data.config.costModel.hourlyCost}/h per server, ${data.config.costModel.idlePower}W idle to ${data.config.costModel.peakPower}W peak`}
+Zone-Aware Routing: ${data.config.zoneAware.enabled ? `on, spill over above ${Math.round(data.config.zoneAware.spilloverUtilization * 100)}% local utilization` : 'off'}
+Scenario: ${data.config.scenario ? `${data.config.scenario.name} (${data.config.scenario.events.length} events)` : 'none'}
+${data.config.scenario ? data.config.scenario.events.map(event => `  ${(event.time / 1000).toFixed(1)}s: ${this.describeScenarioEvent(event)}`).join('\n') + '\n' : ''}
+PERFORMANCE METRICS
+-------------------
+Average Response Time: ${(avgResponseTime / 1000).toFixed(2)}s
+  Queueing Delay: ${((data.metrics.waitTime[data.metrics.waitTime.length - 1] || 0) / 1000).toFixed(2)}s
+  Service Time: ${((data.metrics.serviceTime[data.metrics.serviceTime.length - 1] || 0) / 1000).toFixed(2)}s
+${data.callGraphs.length > 0 ? `  Waiting on Downstream Calls: ${(data.completedTasks.reduce((sum, task) => sum + task.downstreamTime, 0) / Math.max(1, data.completedTasks.length) / 1000).toFixed(2)}s\n` : ''}50th Percentile: ${(this.getPercentile(data.completedTasks.map(t => t.responseTime).sort((a,b) => a-b), 50) / 1000).toFixed(2)}s
+95th Percentile: ${(this.getPercentile(data.completedTasks.map(t => t.responseTime).sort((a,b) => a-b), 95) / 1000).toFixed(2)}s
+99th Percentile: ${(this.getPercentile(data.completedTasks.map(t => t.responseTime).sort((a,b) => a-b), 99) / 1000).toFixed(2)}s
+Throughput: ${throughput.toFixed(2)} tasks/sec
+Total Throughput: ${data.completedTasks.length} tasks completed
+
+SLA COMPLIANCE
+--------------
+Overall: ${slaCompliance.overall.toFixed(1)}%
+High Priority: ${slaCompliance.high.toFixed(1)}%
+Medium Priority: ${slaCompliance.medium.toFixed(1)}%
+Low Priority: ${slaCompliance.low.toFixed(1)}%
+
+RELIABILITY
+-----------
+Failure Rate: ${failureRate.toFixed(1)}%
+Server Availability: ${avgAvailability.toFixed(1)}%
+Failed Tasks: ${data.failedTasks.length}
+Completed Tasks: ${data.completedTasks.length}
+Rejected Tasks: ${data.rejectedTasks.length} (admission ${data.rejectionCounts.admission}, queue full ${data.rejectionCounts.queueFull}, shed ${data.rejectionCounts.shed}, rate limited ${data.rejectionCounts.rateLimited}, over quota ${data.rejectionCounts.quota})
+Retries: ${data.retryStats.retries} (${data.retryStats.timeouts} timeouts, ${(data.retryStats.dispatchedTasks > 0 ? data.retryStats.attempts / data.retryStats.dispatchedTasks : 1).toFixed(2)}x amplification)
+Tail Mitigation: ${data.hedging.strategy === 'off' ? 'off' : `${data.hedging.copies} duplicates (${data.hedging.wins} finished first), ${data.hedging.speculativeRetries} speculative retries, ${data.hedging.cancelled} attempts cancelled, ${(data.hedging.extraLoad * 100).toFixed(1)}% extra server time`}
+Ejections: ${data.outlierStats.ejections} (${data.outlierStats.capped} skipped at the ejection cap)
+Failure Detection: ${data.config.healthChecks.enabled ? `${data.healthCheckStats.detections} servers marked down, average lag ${(data.detectionLag / 1000).toFixed(2)}s (max ${(data.healthCheckStats.maxDetectionLag / 1000).toFixed(2)}s), ${data.healthCheckStats.falseDetections} false positives, ${data.healthCheckStats.misroutedTasks} tasks sent to down servers` : 'instant (health checks off)'}
+Correlated Outages: ${data.correlatedStats.zoneOutages} zone, ${data.correlatedStats.rackOutages} rack, ${data.correlatedStats.cascadeFailures} overload crashes
+Network Delay: ${data.config.network.enabled ? `${(data.completedTasks.length > 0 ? data.networkStats.networkSum / data.completedTasks.length / 1000 : 0).toFixed(3)}s average per completed task, ${data.networkStats.lostPackets} lost packets` : 'not modelled'}
+${Object.entries(data.networkStats.regions).map(([region, stats]) =>
+    `  Clients in ${region}: ${stats.completed} completed, avg response ${(stats.responseSum / stats.completed / 1000).toFixed(2)}s (${(stats.networkSum / stats.completed / 1000).toFixed(3)}s network)\n`
+).join('')}Zone Locality: ${data.config.zoneAware.enabled ? `${data.zoneStats.local} tasks routed locally, ${data.zoneStats.spillover} spilled over` : 'n/a'}
+Keys Remapped: ${data.hashStats.keysMoved} over ${data.hashStats.remaps} membership changes
+Load Regret: ${data.balancerSummary.loadRegret.toFixed(2)} tasks above the least loaded candidate per dispatch (view error ${data.balancerSummary.viewError.toFixed(2)} tasks, ${data.balancerSummary.refreshes} load polls)
+${data.balancerSummary.count > 1 ? `  Dispatches per instance: ${data.balancerSummary.dispatches.map((count, i) => `#${i + 1} ${count}`).join(', ')}\n` : ''}
+COST & ENERGY
+-------------
+Total Cost: $${data.costSummary.totalCost.toFixed(4)}
+Cost per 1000 Completed Tasks: $${data.costSummary.costPer1000Tasks.toFixed(4)}
+Energy: ${data.costSummary.energyWh.toFixed(1)} Wh
+Energy per Task: ${data.costSummary.energyPerTask.toFixed(0)} J
+
+SERVER STATISTICS
+-----------------
+${data.servers.map(server =>
+    `Server ${server.id} (${server.zone}, ${server.rack}${data.config.network.enabled ? `, ${server.region} ${server.rtt}ms RTT ${server.bandwidth}Mbps ${(server.packetLoss * 100).toFixed(1)}% loss` : ''}, capacity ${server.capacity}, speed x${server.speed}, weight ${server.weight.toFixed(2)}, ${server.maxConcurrent} slots): ${server.totalProcessed} tasks processed, ${server.uptime.toFixed(1)}% uptime, Status: ${server.healthStatus}, Breaker: ${server.breaker.state} (${server.breaker.ejections} ejections), Cost: $${server.cost.toFixed(4)} at $${server.hourlyCost}/h, Energy: ${(server.energy / 3600).toFixed(1)} Wh`
+).join('\n')}${data.retiredServers.map(server =>
+    `\nServer ${server.id} (${server.zone}, ${server.rack}, retired at ${(server.retiredTime / 1000).toFixed(1)}s): ${server.totalProcessed} tasks processed, Cost: $${server.cost.toFixed(4)}, Energy: ${(server.energy / 3600).toFixed(1)} Wh`
+).join('')}
+
+${data.tenants.length > 0 ? `TENANTS
+-------
+Jain's Fairness Index: ${data.tenantFairness.toFixed(3)} (over goodput, the share of each tenant's tasks completed within SLA)
+${data.tenants.map(tenant =>
+    `${tenant.name}: ${tenant.arrived} arrived, ${tenant.completed} completed, ${tenant.failed} failed, ${tenant.rejected} rejected (${tenant.rateLimited} rate limited, ${tenant.quotaRejected} over quota), avg ${(tenant.avgResponseTime / 1000).toFixed(2)}s, p95 ${(tenant.p95 / 1000).toFixed(2)}s, SLA ${tenant.slaCompliance.toFixed(1)}%, goodput ${(tenant.goodput * 100).toFixed(1)}%`
+).join('\n')}
+
+` : ''}${data.gslb ? `GLOBAL BALANCING
+----------------
+Failovers: ${data.gslb.failovers} tasks sent past their nearest region while it was marked down
+Blackholed Attempts: ${data.gslb.blackholed} sent to a region whose pool had emptied since the last refresh
+${data.gslb.regions.map(region =>
+    `${region.region} (${region.algorithm}, ${region.available}/${region.servers} servers up, ${region.up ? 'up' : 'down'}): ${region.routed} routed (${region.failedOver} failed over in), ${region.completed} completed, ${region.failed} failed, avg ${(region.avgResponseTime / 1000).toFixed(2)}s, ${region.outages} outages`
+).join('\n')}
+
+` : ''}${data.callGraphs.length > 0 ? `SERVICES
+--------
+${data.callGraphs.map(graph =>
+    `Request ${graph.name} (share ${graph.share}): ${graph.path}, ${graph.completed} completed, ${graph.failed} failed, avg end-to-end ${(graph.avgResponseTime / 1000).toFixed(2)}s, ${graph.callsPerRequest.toFixed(1)} calls per request`
+).join('\n')}
+${data.services.map(service =>
+    `${service.service} (${service.algorithm}, ${service.servers} servers): ${service.completed} calls, ${service.failed} failed, avg ${(service.avgLatency / 1000).toFixed(2)}s (wait ${(service.avgWaitTime / 1000).toFixed(2)}s, own work ${(service.avgServiceTime / 1000).toFixed(2)}s, downstream ${(service.avgDownstreamTime / 1000).toFixed(2)}s), p95 ${(service.p95Latency / 1000).toFixed(2)}s`
+).join('\n')}
+
+` : ''}SCALING
+-------
+${data.scalingEvents.length > 0 ? data.scalingEvents.map(event =>
+    `${(event.time / 1000).toFixed(1)}s: ${{ scaleOut: 'scale out, added', scaleIn: 'scale in, draining', removed: 'removed' }[event.action]} Server ${event.serverId} (${event.reason}) - ${event.serverCount} servers`
+).join('\n') : 'No scaling events'}
+
+TASK DISTRIBUTION
+-----------------
+High Priority: ${data.completedTasks.filter(t => t.priority === 'high').length} tasks
+Medium Priority: ${data.completedTasks.filter(t => t.priority === 'medium').length} tasks
+Low Priority: ${data.completedTasks.filter(t => t.priority === 'low').length} tasks
+
+RECOMMENDATIONS
+---------------
+${this.generateRecommendations(data, slaCompliance, avgResponseTime, failureRate)}
+        `.trim();
+    }
+    
+    describeArrivalModel(config) {
+        const params = config.arrivalParams;
+        switch (config.arrivalModel) {
+            case 'bursty':
+                return `bursty (x${params.burstMultiplier} for ~${params.burstOnDuration / 1000}s, x${params.idleRateFactor} for ~${params.burstOffDuration / 1000}s)`;
+            case 'diurnal':
+                return `diurnal (${params.diurnalPeriod / 1000}s period, ${Math.round(params.diurnalAmplitude * 100)}% amplitude)`;
+            case 'flashCrowd':
+                return `flash crowd (x${params.flashCrowdMultiplier} from ${params.flashCrowdStart / 1000}s for ${params.flashCrowdDuration / 1000}s)`;
+            case 'trace':
+                return `trace replay of ${config.traceName} (time scale x${config.traceTimeScale})`;
+            default:
+                return config.arrivalModel;
+        }
+    }
+    
+    generateRecommendations(data, slaCompliance, avgResponseTime, failureRate) {
+        const recommendations = [];
+        
+        if (slaCompliance.overall < 90) {
+            recommendations.push("- Consider increasing server capacity or count to improve SLA compliance");
+        }
+        
+        if (avgResponseTime > 3000) {
+            recommendations.push("- Response times are high - consider load balancing algorithm optimization");
+        }
+        
+        if (failureRate > 5) {
+            recommendations.push("- High failure rate detected - implement better health monitoring and failover");
+        }
+        
+        if (data.config.algorithm === 'roundRobin') {
+            recommendations.push("- Round Robin may not be optimal for varying server capacities - consider Weighted Round Robin");
+        }
+        
+        const serverLoads = data.servers.map(s => s.currentLoad);
+        const maxLoad = Math.max(...serverLoads);
+        const minLoad = Math.min(...serverLoads);
+        const avgCapacity = data.servers.reduce((sum, server) => sum + server.capacity, 0) / data.servers.length;
+        if (maxLoad - minLoad > avgCapacity * 0.3) {
+            recommendations.push("- Load distribution is uneven - consider Least Load algorithm");
+        }
+        
+        return recommendations.length > 0 ? recommendations.join('\n') : "- System performance is optimal with current configuration";
+    }
+    
+    // ---- Batch runs -------------------------------------------------------
+    
+    // Run every task to completion without any observer attached and return
+    // the summary row used by the comparison table. One server is failed 30s
+    // into the run so every algorithm also has to cope with a failover.
+    runBatch() {
+        this.reset();
+        // Without a scripted scenario every run gets the same single failure
+        if (!this.config.scenario) {
+            this.schedule(30000, 'injectFailure');
+        }
+        return this.run();
+    }
+    
+    summarize() {
+        const slaCompliance = this.calculateSLACompliance();
+        const avgResponseTime = this.metrics.responseTime[this.metrics.responseTime.length - 1] || 0;
+        const throughput = this.metrics.throughput[this.metrics.throughput.length - 1] || 0;
+        const failureRate = this.metrics.failureRate[this.metrics.failureRate.length - 1] || 0;
+        // Averaged over the samples: once a batch run has drained every server is idle
+        const samples = this.metrics.loadVariance;
+        const loadVariance = samples.length > 0 ? samples.reduce((sum, value) => sum + value, 0) / samples.length : 0;
+        const cost = this.getCostSummary();
+        const balancers = this.getBalancerSummary();
+        const responseTimes = this.getSortedResponseTimes();
+        
+        return {
+            avgResponseTime: (avgResponseTime / 1000).toFixed(2),
+            p50: (this.getPercentile(responseTimes, 50) / 1000).toFixed(2),
+            p95: (this.getPercentile(responseTimes, 95) / 1000).toFixed(2),
+            p99: (this.getPercentile(responseTimes, 99) / 1000).toFixed(2),
+            slaCompliance: slaCompliance.overall.toFixed(1) + '%',
+            throughput: throughput.toFixed(2),
+            failureRate: failureRate.toFixed(1) + '%',
+            rejectionRate: (this.metrics.rejectionRate[this.metrics.rejectionRate.length - 1] || 0).toFixed(1) + '%',
+            retryAmplification: (this.metrics.retryAmplification[this.metrics.retryAmplification.length - 1] || 1).toFixed(2) + 'x',
+            extraLoad: (this.getHedgingSummary().extraLoad * 100).toFixed(1) + '%',
+            totalCost: '$' + cost.totalCost.toFixed(4),
+            costPer1000Tasks: '$' + cost.costPer1000Tasks.toFixed(4),
+            energyPerTask: cost.energyPerTask.toFixed(0) + ' J',
+            loadRegret: balancers.loadRegret.toFixed(2),
+            loadVariance: loadVariance.toFixed(1)
+        };
+    }
+    
+    // Run the same configuration once per algorithm on fresh engines. All runs
+    // share one seed (and trace, if given) so every algorithm sees the same workload.
+    static compareAlgorithms(config, algorithms = ['roundRobin', 'leastLoad', 'weightedRoundRobin', 'shortestResponseTime', 'randomized', 'consistentHashing', 'boundedLoadHashing', 'maglev', 'powerOfChoices', 'joinShortestQueue', 'joinIdleQueue', ...Object.keys(SimulationEngine.customAlgorithms)], trace = null) {
+        const seed = SeededRandom.resolveSeed(config.seed);
+        const results = {};
+        algorithms.forEach(algorithm => {
+            const engine = new SimulationEngine({ ...config, algorithm, seed });
+            if (trace) {
+                engine.trace = trace;
+            }
+            results[algorithm] = engine.runBatch();
+        });
+        return results;
+    }
+}
+
+SimulationEngine.builtinAlgorithmNames = Object.freeze({
+    roundRobin: 'Round Robin',
+    leastLoad: 'Least Load',
+    weightedRoundRobin: 'Weighted RR',
+    shortestResponseTime: 'Shortest Response',
+    randomized: 'Randomized',
+    consistentHashing: 'Consistent Hash',
+    boundedLoadHashing: 'Bounded-Load Hash',
+    maglev: 'Maglev',
+    powerOfChoices: 'Power of d',
+    joinShortestQueue: 'Join Shortest Queue',
+    joinIdleQueue: 'Join Idle Queue'
+});
+
+SimulationEngine.customAlgorithms = {};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SimulationEngine, SeededRandom, EventQueue, ArrivalProcess, ServiceTimeDistribution, HashRing, MaglevTable, TraceParser };
+}